@@ -0,0 +1,150 @@
+/*
+Answer checking shared by practice and PvP grading.
+Numeric answers are compared by value, so "0.50", ".5" and "1/2" are the
+same answer; anything that isn't a number falls back to a text compare.
+*/
+
+// Why an answer was marked wrong
+const REJECTION_REASONS = {
+  EMPTY: 'empty',
+  NOT_A_NUMBER: 'not_a_number',
+  WRONG_VALUE: 'wrong_value',
+  OUTSIDE_TOLERANCE: 'outside_tolerance',
+  MISMATCH: 'mismatch',
+  NOT_A_CHOICE: 'not_a_choice',
+  NOT_A_BOOLEAN: 'not_a_boolean',
+  // PvP only: no answer before the round timer ran out
+  TIMED_OUT: 'timed_out',
+};
+
+// Absorbs float noise such as 0.1 + 0.2 when no tolerance is set
+const EPSILON = 1e-9;
+
+/**
+ * Parse a number the way a player might type it
+ * Handles "-5", "−5", "+5", ".5", "5.", "1,234.5", "1 234", "3/4", "-1/2"
+ * and mixed numbers like "1 1/2".
+ * @param {*} raw
+ * @returns {number|null} Value, or null if it isn't a number
+ */
+function parseNumber(raw) {
+  if (typeof raw === 'number') return Number.isFinite(raw) ? raw : null;
+  if (raw === null || raw === undefined) return null;
+
+  let text = String(raw)
+    .trim()
+    .replace(/[−‒–]/g, '-') // unicode minus / dashes
+    .replace(/⁄/g, '/');     // fraction slash
+
+  if (!text) return null;
+
+  // mixed number: "1 1/2", "-2 3/4"
+  const mixed = text.match(/^([-+]?)(\d+)\s+(\d+)\s*\/\s*(\d+)$/);
+  if (mixed) {
+    const [, sign, whole, num, den] = mixed;
+    if (Number(den) === 0) return null;
+    const value = Number(whole) + Number(num) / Number(den);
+    return sign === '-' ? -value : value;
+  }
+
+  // fraction: "3/4", "-1/2", "1.5/3"
+  const fraction = text.match(/^([-+]?\d*\.?\d+)\s*\/\s*([-+]?\d*\.?\d+)$/);
+  if (fraction) {
+    const den = Number(fraction[2]);
+    if (den === 0) return null;
+    return Number(fraction[1]) / den;
+  }
+
+  // thousands separators: commas or spaces between groups of three digits
+  if (/^[-+]?\d{1,3}([, ]\d{3})+(\.\d*)?$/.test(text)) {
+    text = text.replace(/[, ]/g, '');
+  }
+
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)$/.test(text)) return null;
+  return Number(text);
+}
+
+// true/false answers as players type them
+function parseBoolean(raw) {
+  const text = normaliseText(raw);
+  if (['true', 't', 'yes', 'y', '1'].includes(text)) return true;
+  if (['false', 'f', 'no', 'n', '0'].includes(text)) return false;
+  return null;
+}
+
+function normaliseText(raw) {
+  return String(raw === null || raw === undefined ? '' : raw)
+    .trim()
+    .replace(/\s+/g, ' ')
+    .toLowerCase();
+}
+
+/**
+ * Grade an answer against a question
+ * @param {*} given - What the player sent
+ * @param {Object} question - Anything with { answer, tolerance?, format?, choices? };
+ *   tolerance is an absolute allowance, e.g. 0.01 to accept answers rounded
+ *   to 2 places. Served variants (see questionFormats) carry format/choices.
+ * @returns {Object} { correct, reason, given, expected } where reason is
+ *   null when correct, otherwise one of REJECTION_REASONS
+ */
+function checkAnswer(given, question) {
+  const expectedRaw = question.answer;
+  const tolerance = Math.max(0, Number(question.tolerance) || 0);
+  const result = (correct, reason, normalisedGiven, expected) => ({
+    correct,
+    reason: correct ? null : reason,
+    given: normalisedGiven,
+    expected,
+  });
+
+  if (given === null || given === undefined || String(given).trim() === '') {
+    return result(false, REJECTION_REASONS.EMPTY, null, expectedRaw);
+  }
+
+  if (question.format === 'true_false') {
+    const givenBoolean = parseBoolean(given);
+    if (givenBoolean === null) {
+      return result(false, REJECTION_REASONS.NOT_A_BOOLEAN, String(given).trim(), expectedRaw);
+    }
+    const expectedBoolean = parseBoolean(expectedRaw);
+    return result(givenBoolean === expectedBoolean, REJECTION_REASONS.WRONG_VALUE, givenBoolean, expectedBoolean);
+  }
+
+  if (question.format === 'multiple_choice' && Array.isArray(question.choices) && question.choices.length) {
+    // the pick has to be one of the offered choices, whatever its value
+    const offered = question.choices.some(choice => checkAnswer(given, { answer: choice }).correct);
+    if (!offered) {
+      return result(false, REJECTION_REASONS.NOT_A_CHOICE, String(given).trim(), expectedRaw);
+    }
+  }
+
+  const expectedNumber = parseNumber(expectedRaw);
+  if (expectedNumber === null) {
+    // text answer
+    const correct = normaliseText(given) === normaliseText(expectedRaw);
+    return result(correct, REJECTION_REASONS.MISMATCH, normaliseText(given), normaliseText(expectedRaw));
+  }
+
+  const givenNumber = parseNumber(given);
+  if (givenNumber === null) {
+    return result(false, REJECTION_REASONS.NOT_A_NUMBER, String(given).trim(), expectedNumber);
+  }
+
+  const difference = Math.abs(givenNumber - expectedNumber);
+  const allowed = tolerance + EPSILON * Math.max(1, Math.abs(expectedNumber));
+  const correct = difference <= allowed;
+
+  return result(
+    correct,
+    tolerance > 0 ? REJECTION_REASONS.OUTSIDE_TOLERANCE : REJECTION_REASONS.WRONG_VALUE,
+    givenNumber,
+    expectedNumber
+  );
+}
+
+module.exports = {
+  REJECTION_REASONS,
+  parseNumber,
+  checkAnswer,
+};
@@ -9,6 +9,16 @@ const authRoutes = require('./routes/auth');
 const questionRoutes = require('./routes/question');
 const matchRoutes = require('./routes/match');
 const practiceMatchRoutes = require('./routes/practicematch');
+const leaderboardRoutes = require('./routes/leaderboard');
+const adminQuestionRoutes = require('./routes/adminQuestion');
+const adminRoutes = require('./routes/admin');
+const progressRoutes = require('./routes/progress');
+const reviewRoutes = require('./routes/review');
+const rulesRoutes = require('./routes/rules');
+const Player = require('./models/Player');
+const { socketAuth } = require('./middleware/auth');
+const matchmakingController = require('./controller/matchmakingController');
+const { QUESTION_SOURCE, loadQuestionsFromDatabase } = require('./loadQuestion');
 
 
 const app = express();
@@ -31,18 +41,37 @@ app.use('/api/auth', authRoutes);
 app.use('/api/question', questionRoutes);
 app.use('/api/practice', practiceMatchRoutes)
 app.use('/api/match', matchRoutes);
+app.use('/api/leaderboard', leaderboardRoutes);
+app.use('/api/progress', progressRoutes);
+app.use('/api/review', reviewRoutes);
+app.use('/api/rules', rulesRoutes);
+app.use('/api/admin/questions', adminQuestionRoutes);
+app.use('/api/admin', adminRoutes);
 
 // handle mongoose connection and server start
 mongoose.connect(process.env.MONGO_URI)
-  .then(() => {
+  .then(async () => {
+    // first-admin bootstrap: while there is no admin yet, accounts listed in
+    // ADMIN_EMAILS get the admin role
+    const adminEmails = (process.env.ADMIN_EMAILS || '').split(',');
+    const granted = await Player.bootstrapAdmins(adminEmails);
+    if (granted) console.log(`Granted admin role to ${granted} player(s) from ADMIN_EMAILS`);
+
+    // with QUESTION_SOURCE=database the question cache comes from MongoDB
+    if (QUESTION_SOURCE === 'database') {
+      await loadQuestionsFromDatabase();
+    }
     server.listen(3000,'0.0.0.0', () => {
       console.log('Server is running on port 3000');
     });
   })
   .catch(err => console.error('Mongo connection error:', err));
 
-// listen for room creation to bind socket logic
-// this assumes matchRoutes.createChallenge attaches roomId to res.locals
+// the default namespace is per-player: clients authenticate with
+// auth: { token } and get their own room for notifications (e.g. matchFound)
+io.use(socketAuth);
 io.on('connection', socket => {
   console.log('Global socket connected:', socket.id);
+  socket.join(`player:${socket.data.player._id}`);
+  matchmakingController.registerSocketHandlers(io, socket);
 });
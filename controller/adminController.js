@@ -0,0 +1,148 @@
+const mongoose = require("mongoose");
+const Player = require("../models/Player");
+const { getRuleSet } = require("../rules");
+
+const ROLES = ["player", "admin"];
+const PLAYER_PAGE_SIZE = 50;
+const PLAYER_MAX_PAGE_SIZE = 200;
+
+/**
+ * GET /api/admin/players
+ * Query: { role, search, page, limit }
+ * search matches the start of username or email
+ */
+exports.listPlayers = async (req, res) => {
+  const { role, search } = req.query;
+  const filter = {};
+
+  if (role) {
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ message: `role must be one of: ${ROLES.join(", ")}` });
+    }
+    filter.roles = role;
+  }
+  if (search) {
+    const prefix = new RegExp(
+      `^${String(search).trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}`,
+      "i"
+    );
+    filter.$or = [{ username: prefix }, { email: prefix }];
+  }
+
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(
+    PLAYER_MAX_PAGE_SIZE,
+    Math.max(1, parseInt(req.query.limit, 10) || PLAYER_PAGE_SIZE)
+  );
+
+  try {
+    const [players, total] = await Promise.all([
+      Player.find(filter)
+        .select("username email country roles ruleSet createdAt")
+        .sort({ username: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Player.countDocuments(filter),
+    ]);
+
+    return res.json({ page, limit, total, totalPages: Math.ceil(total / limit), players });
+  } catch (error) {
+    console.error("Error listing players:", error);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * POST /api/admin/players/:playerId/promote
+ * Grants the admin role
+ */
+exports.promotePlayer = async (req, res) => {
+  const { playerId } = req.params;
+  if (!mongoose.isValidObjectId(playerId)) {
+    return res.status(400).json({ message: "Invalid player id" });
+  }
+
+  try {
+    const player = await Player.findByIdAndUpdate(
+      playerId,
+      { $addToSet: { roles: { $each: ["player", "admin"] } } },
+      { new: true }
+    ).select("username email roles");
+    if (!player) {
+      return res.status(404).json({ message: "Player not found" });
+    }
+
+    console.log(`${req.user.username} promoted ${player.username} to admin`);
+    return res.json({ message: "Player promoted to admin", player });
+  } catch (error) {
+    console.error("Error promoting player:", error);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * POST /api/admin/players/:playerId/demote
+ * Removes the admin role. Admins can't demote themselves,
+ * so there is always at least one admin left.
+ */
+exports.demotePlayer = async (req, res) => {
+  const { playerId } = req.params;
+  if (!mongoose.isValidObjectId(playerId)) {
+    return res.status(400).json({ message: "Invalid player id" });
+  }
+  if (String(req.user._id) === String(playerId)) {
+    return res.status(400).json({ message: "You cannot demote yourself" });
+  }
+
+  try {
+    const player = await Player.findOneAndUpdate(
+      { _id: playerId, roles: "admin" },
+      { $pull: { roles: "admin" } },
+      { new: true }
+    ).select("username email roles");
+    if (!player) {
+      return res.status(404).json({ message: "Player not found or not an admin" });
+    }
+
+    console.log(`${req.user.username} demoted ${player.username} from admin`);
+    return res.json({ message: "Admin role removed", player });
+  } catch (error) {
+    console.error("Error demoting player:", error);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * PUT /api/admin/players/:playerId/rule-set
+ * Body: { ruleSet } - a rule set name, or null to go back to the default
+ * The player's practice sessions and lobbies use this set from then on
+ */
+exports.assignRuleSet = async (req, res) => {
+  const { playerId } = req.params;
+  const ruleSet = req.body.ruleSet ?? null;
+  if (!mongoose.isValidObjectId(playerId)) {
+    return res.status(400).json({ message: "Invalid player id" });
+  }
+  if (ruleSet !== null && (typeof ruleSet !== "string" || !getRuleSet(ruleSet))) {
+    return res.status(400).json({ message: `Unknown rule set: ${ruleSet}` });
+  }
+
+  try {
+    const player = await Player.findByIdAndUpdate(
+      playerId,
+      { $set: { ruleSet } },
+      { new: true }
+    ).select("username email roles ruleSet");
+    if (!player) {
+      return res.status(404).json({ message: "Player not found" });
+    }
+
+    console.log(
+      `${req.user.username} assigned rule set ${ruleSet || "(default)"} to ${player.username}`
+    );
+    return res.json({ message: "Rule set assigned", player });
+  } catch (error) {
+    console.error("Error assigning rule set:", error);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
@@ -0,0 +1,347 @@
+const mongoose = require("mongoose");
+const Question = require("../models/Question");
+const {
+  QUESTION_SOURCE,
+  WORKBOOK_PATH,
+  readQuestionsFromWorkbook,
+  parseQuestionLevel,
+  loadQuestionsFromDatabase,
+  reloadQuestions,
+} = require("../loadQuestion");
+
+const SEARCH_PAGE_SIZE = 50;
+const SEARCH_MAX_PAGE_SIZE = 200;
+
+// Fields an admin may set on create/edit
+const EDITABLE_FIELDS = [
+  "questionKey",
+  "questionLevel",
+  "difficulty",
+  "levelNumber",
+  "question",
+  "input1",
+  "input2",
+  "answer",
+  "symbol",
+  "valid",
+  "combo",
+  "finalLevel",
+  "tolerance",
+  "format",
+];
+
+/**
+ * Copy editable fields from a request body; difficulty/levelNumber are
+ * derived from questionLevel ("Easy 1") unless given explicitly
+ */
+function pickQuestionFields(body) {
+  const fields = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+
+  if (fields.questionLevel !== undefined) {
+    const { difficulty, levelNumber } = parseQuestionLevel(
+      String(fields.questionLevel).trim()
+    );
+    if (fields.difficulty === undefined) fields.difficulty = difficulty;
+    if (fields.levelNumber === undefined) fields.levelNumber = levelNumber;
+  }
+  if (typeof fields.difficulty === "string") {
+    fields.difficulty = fields.difficulty.toLowerCase().trim();
+  }
+  return fields;
+}
+
+/**
+ * Map mongoose write errors to a response, or null if it's a server error
+ */
+function writeErrorResponse(error) {
+  if (error.code === 11000) {
+    return { status: 409, message: "A question with this questionKey already exists" };
+  }
+  if (error.name === "ValidationError" || error.name === "CastError") {
+    return { status: 400, message: error.message };
+  }
+  return null;
+}
+
+/**
+ * Keep the served question pool in step with the collection
+ */
+async function refreshQuestionCache() {
+  if (QUESTION_SOURCE === "database") {
+    await loadQuestionsFromDatabase();
+  }
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * GET /api/admin/questions
+ * Query: { questionKey, difficulty, finalLevel, symbol, includeDeleted, page, limit }
+ * questionKey is a prefix match; symbol matches one entry of the comma list
+ */
+exports.searchQuestions = async (req, res) => {
+  const { questionKey, difficulty, finalLevel, symbol, includeDeleted } = req.query;
+
+  const filter = {};
+  if (includeDeleted !== "true") filter.deleted = false;
+  if (questionKey) {
+    filter.questionKey = new RegExp(`^${escapeRegex(String(questionKey).trim())}`);
+  }
+  if (difficulty) filter.difficulty = String(difficulty).toLowerCase();
+  if (finalLevel !== undefined && finalLevel !== "") {
+    const level = parseInt(finalLevel, 10);
+    if (isNaN(level)) {
+      return res.status(400).json({ message: "finalLevel must be a number" });
+    }
+    filter.finalLevel = level;
+  }
+  if (symbol) {
+    filter.symbol = new RegExp(`(^|,)\\s*${escapeRegex(String(symbol).trim())}\\s*(,|$)`);
+  }
+
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(
+    SEARCH_MAX_PAGE_SIZE,
+    Math.max(1, parseInt(req.query.limit, 10) || SEARCH_PAGE_SIZE)
+  );
+
+  try {
+    const [questions, total] = await Promise.all([
+      Question.find(filter)
+        .sort({ questionKey: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Question.countDocuments(filter),
+    ]);
+
+    return res.json({
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      questions,
+    });
+  } catch (error) {
+    console.error("Error searching questions:", error);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * GET /api/admin/questions/:id
+ */
+exports.getQuestionById = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(400).json({ message: "Invalid question id" });
+  }
+
+  try {
+    const question = await Question.findById(id);
+    if (!question) {
+      return res.status(404).json({ message: "Question not found" });
+    }
+    return res.json(question);
+  } catch (error) {
+    console.error("Error fetching question:", error);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * POST /api/admin/questions
+ * Body: { questionKey, question, answer, questionLevel | difficulty, finalLevel, symbol, ... }
+ */
+exports.createQuestion = async (req, res) => {
+  try {
+    const question = await Question.create(pickQuestionFields(req.body || {}));
+    await refreshQuestionCache();
+    return res.status(201).json(question);
+  } catch (error) {
+    const known = writeErrorResponse(error);
+    if (known) return res.status(known.status).json({ message: known.message });
+    console.error("Error creating question:", error);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * PATCH /api/admin/questions/:id
+ * Body: any editable field
+ */
+exports.updateQuestion = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(400).json({ message: "Invalid question id" });
+  }
+
+  const updates = pickQuestionFields(req.body || {});
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({ message: "No editable fields provided" });
+  }
+
+  try {
+    const question = await Question.findByIdAndUpdate(
+      id,
+      { $set: updates },
+      { new: true, runValidators: true }
+    );
+    if (!question) {
+      return res.status(404).json({ message: "Question not found" });
+    }
+    await refreshQuestionCache();
+    return res.json(question);
+  } catch (error) {
+    const known = writeErrorResponse(error);
+    if (known) return res.status(known.status).json({ message: known.message });
+    console.error("Error updating question:", error);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * DELETE /api/admin/questions/:id
+ * Soft delete: the question stops being served but stays in the collection
+ */
+exports.deleteQuestion = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(400).json({ message: "Invalid question id" });
+  }
+
+  try {
+    const question = await Question.findOneAndUpdate(
+      { _id: id, deleted: false },
+      { $set: { deleted: true, deletedAt: new Date() } },
+      { new: true }
+    );
+    if (!question) {
+      return res.status(404).json({ message: "Question not found or already deleted" });
+    }
+    await refreshQuestionCache();
+    return res.json({ message: "Question deleted", question });
+  } catch (error) {
+    console.error("Error deleting question:", error);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * POST /api/admin/questions/:id/restore
+ * Undo a soft delete
+ */
+exports.restoreQuestion = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(400).json({ message: "Invalid question id" });
+  }
+
+  try {
+    const question = await Question.findOneAndUpdate(
+      { _id: id, deleted: true },
+      { $set: { deleted: false, deletedAt: null } },
+      { new: true }
+    );
+    if (!question) {
+      return res.status(404).json({ message: "Question not found or not deleted" });
+    }
+    await refreshQuestionCache();
+    return res.json({ message: "Question restored", question });
+  } catch (error) {
+    console.error("Error restoring question:", error);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * POST /api/admin/questions/import
+ * One-off migration: reads the configured workbook with the same
+ * createColumnMapping/processDataRow parsing the Excel loader uses
+ * and upserts every row by questionKey. Soft-deleted questions stay deleted.
+ */
+exports.importFromExcel = async (req, res) => {
+  let rows;
+  try {
+    rows = readQuestionsFromWorkbook(WORKBOOK_PATH);
+  } catch (error) {
+    console.error("Error reading workbook for import:", error);
+    return res.status(400).json({ message: `Could not read workbook at ${WORKBOOK_PATH}` });
+  }
+
+  const skipped = [];
+  const byKey = new Map();
+  rows.forEach((row) => {
+    if (!row.questionKey || !row.question || row.answer === "") {
+      skipped.push({
+        sheet: row._sheet,
+        row: row._row,
+        questionKey: row.questionKey || null,
+      });
+      return;
+    }
+    // a later row with the same key wins, like a re-save of the sheet would
+    const { _sheet, _row, ...fields } = row;
+    byKey.set(fields.questionKey, fields);
+  });
+
+  const operations = [...byKey.values()].map((fields) => ({
+    updateOne: {
+      filter: { questionKey: fields.questionKey },
+      update: { $set: fields },
+      upsert: true,
+    },
+  }));
+
+  try {
+    const result = operations.length
+      ? await Question.bulkWrite(operations, { ordered: false })
+      : { upsertedCount: 0, modifiedCount: 0, matchedCount: 0 };
+    await refreshQuestionCache();
+
+    return res.json({
+      message: "Import complete",
+      rowsRead: rows.length,
+      inserted: result.upsertedCount,
+      updated: result.modifiedCount,
+      unchanged: result.matchedCount - result.modifiedCount,
+      skipped,
+    });
+  } catch (error) {
+    console.error("Error importing questions:", error);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * POST /api/admin/questions/reload
+ * Query: { strict } - strict=true also rejects empty difficulty/level buckets
+ * Re-reads the question source (workbook or database) and swaps it in only
+ * if validation passes. 422 with the report if it doesn't.
+ */
+exports.reloadQuestionBank = async (req, res) => {
+  try {
+    const result = await reloadQuestions({ strict: req.query.strict === "true" });
+
+    if (!result.report) {
+      return res.status(400).json({
+        message: `Could not read questions from ${result.source}`,
+        error: result.error,
+      });
+    }
+    if (!result.applied) {
+      return res.status(422).json({
+        message: "Validation failed; the current question bank is still being served",
+        ...result,
+      });
+    }
+    return res.json({ message: "Question bank reloaded", ...result });
+  } catch (error) {
+    console.error("Error reloading question bank:", error);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
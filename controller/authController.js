@@ -47,7 +47,8 @@ exports.signup = async (req, res) => {
         email: player.email,
         country: player.country,
         dateOfBirth: player.dateOfBirth,
-        pr: player.pr
+        pr: player.pr,
+        roles: player.roles
       }
     });
   } catch (err) {
@@ -99,7 +100,8 @@ exports.login = async (req, res) => {
         email: player.email,
         country: player.country,
         dateOfBirth: player.dateOfBirth,
-        pr: player.pr
+        pr: player.pr,
+        roles: player.roles
       }
     });
   } catch (err) {
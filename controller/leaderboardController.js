@@ -0,0 +1,144 @@
+const Player = require("../models/Player");
+
+const LEADERBOARD_PAGE_SIZE = 50;
+const LEADERBOARD_MAX_PAGE_SIZE = 100;
+const MODES = ["practice", "pvp"];
+const DIFFICULTIES = ["easy", "medium", "hard"];
+
+/**
+ * Validate :mode/:difficulty and build the rating field + base filter
+ * @returns {Object|null} { field, filter } or null if params are invalid
+ */
+function leaderboardQuery(params, query) {
+  const mode = String(params.mode || "").toLowerCase();
+  const difficulty = String(params.difficulty || "").toLowerCase();
+  if (!MODES.includes(mode) || !DIFFICULTIES.includes(difficulty)) {
+    return null;
+  }
+
+  const field = `pr.${mode}.${difficulty}`;
+  const filter = { [field]: { $exists: true } };
+  const country = query.country ? String(query.country).trim() : "";
+  if (country) filter.country = country;
+
+  return { mode, difficulty, field, filter, country: country || null };
+}
+
+/**
+ * Rank of a rating: 1 + number of players strictly above it (ties share a rank)
+ */
+function rankOf(field, filter, rating) {
+  return Player.countDocuments({
+    ...filter,
+    [field]: { $gt: rating },
+  }).then((above) => above + 1);
+}
+
+/**
+ * GET /api/leaderboard/:mode/:difficulty
+ * Query: { page = 1, limit = 50, country }
+ * Returns players ordered by pr[mode][difficulty], highest first
+ */
+exports.getLeaderboard = async (req, res) => {
+  const q = leaderboardQuery(req.params, req.query);
+  if (!q) {
+    return res.status(400).json({
+      message: "Use /:mode/:difficulty with mode=(practice|pvp) and difficulty=(easy|medium|hard)",
+    });
+  }
+
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(
+    LEADERBOARD_MAX_PAGE_SIZE,
+    Math.max(1, parseInt(req.query.limit, 10) || LEADERBOARD_PAGE_SIZE)
+  );
+  const skip = (page - 1) * limit;
+
+  try {
+    // Both queries are served by the { [country,] field, _id } indexes
+    const [players, total] = await Promise.all([
+      Player.find(q.filter)
+        .sort({ [q.field]: -1, _id: 1 })
+        .skip(skip)
+        .limit(limit)
+        .select(`username country ${q.field}`)
+        .lean(),
+      Player.countDocuments(q.filter),
+    ]);
+
+    let entries = [];
+    if (players.length) {
+      const rating = (p) => p.pr[q.mode][q.difficulty];
+      let rank = await rankOf(q.field, q.filter, rating(players[0]));
+
+      entries = players.map((p, i) => {
+        if (i > 0 && rating(p) !== rating(players[i - 1])) rank = skip + i + 1;
+        return {
+          rank,
+          playerId: p._id,
+          username: p.username,
+          country: p.country,
+          rating: rating(p),
+        };
+      });
+    }
+
+    return res.json({
+      mode: q.mode,
+      difficulty: q.difficulty,
+      country: q.country,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      entries,
+    });
+  } catch (err) {
+    console.error("Error fetching leaderboard:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * GET /api/leaderboard/:mode/:difficulty/me
+ * Query: { country }
+ * Returns the signed-in player's rank on that leaderboard
+ */
+exports.getMyRank = async (req, res) => {
+  const q = leaderboardQuery(req.params, req.query);
+  if (!q) {
+    return res.status(400).json({
+      message: "Use /:mode/:difficulty/me with mode=(practice|pvp) and difficulty=(easy|medium|hard)",
+    });
+  }
+
+  const rating = req.user.pr?.[q.mode]?.[q.difficulty];
+  if (typeof rating !== "number") {
+    return res.status(404).json({ message: "No rating for this leaderboard" });
+  }
+  if (q.country && q.country !== req.user.country) {
+    return res
+      .status(404)
+      .json({ message: "You are not on this country's leaderboard" });
+  }
+
+  try {
+    const [rank, total] = await Promise.all([
+      rankOf(q.field, q.filter, rating),
+      Player.countDocuments(q.filter),
+    ]);
+
+    return res.json({
+      mode: q.mode,
+      difficulty: q.difficulty,
+      country: q.country,
+      rank,
+      total,
+      rating,
+      page: Math.ceil(rank / LEADERBOARD_PAGE_SIZE),
+    });
+  } catch (err) {
+    console.error("Error fetching player rank:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
@@ -3,121 +3,919 @@ src/controllers/matchController.js
 Improved version with better rating logic, validation, and cleanup
 */
 const { v4: uuidv4 } = require("uuid");
+const mongoose = require("mongoose");
 const Player = require("../models/Player");
+const Invitation = require("../models/Invitation");
+const Match = require("../models/Match");
+const { socketAuth } = require("../middleware/auth");
+const { getQuestions } = require("../loadQuestion");
+const { generateQuestion } = require("../questionGenerator");
+const { checkAnswer, REJECTION_REASONS } = require("../answerChecker");
+const { FORMATS, presentQuestion } = require("../questionFormats");
+const { questionIdentity, pickQuestion } = require("../questionSelection");
+const QuestionHistory = require("../models/QuestionHistory");
+const SkillMastery = require("../models/SkillMastery");
+const RatingHistory = require("../models/RatingHistory");
+const { getLevelFromScore } = require("./questionController");
 const {
-  loadQuestionsFromExcel,
-  getLevelFromScore,
-} = require("./questionController");
+  getRuleSet,
+  getDefaultRuleSetName,
+  ruleSetFor,
+  canUseRuleSet,
+} = require("../rules");
+const glicko2 = require("../glicko2");
 
 // In-memory store of rooms with cleanup tracking
 const rooms = {};
 const roomTimeouts = {};
+const roundTimeouts = {};
+const invitationTimeouts = {};
+// Private lobby join codes: { [code]: roomId }
+const lobbyCodes = {};
+// Pending forfeits for disconnected players: { [roomId]: { [playerId]: timeout } }
+const reconnectTimeouts = {};
 
-// Constants for game configuration
-const GAME_CONFIG = {
-  QUESTIONS_PER_MATCH: 10,
-  MATCH_TIMEOUT: 300000, // 5 minutes
-  ROUND_TIMEOUT: 60000, // 60 seconds per question
-  BASE_RATING: 1000,
-  MIN_RATING: 0,
-  MAX_RATING_CHANGE: 50,
-};
+/**
+ * Match constants for a rule set from config/rules.json
+ * @param {Object} rules - Resolved rule set (see rules.js)
+ */
+function gameConfigFor(rules) {
+  return {
+    QUESTIONS_PER_MATCH: rules.match.questionsPerMatch,
+    MATCH_TIMEOUT: rules.match.matchTimeoutMs,
+    INVITATION_TIMEOUT: rules.match.invitationTimeoutMs,
+    ROUND_TIMEOUT: rules.match.roundTimeoutMs,
+    BASE_RATING: rules.rating.baseRating,
+    MIN_RATING: rules.rating.minRating,
+    MAX_RATING_CHANGE: rules.rating.maxRatingChange,
+    RECONNECT_GRACE: rules.match.reconnectGraceMs, // time a dropped player has to rejoin before forfeiting
+    MAX_SPECTATORS: rules.match.maxSpectators,
+    MIN_PLAYERS: rules.match.minPlayers,
+    MAX_PLAYERS: rules.match.maxPlayers,
+    LOBBY_TIMEOUT: rules.match.lobbyTimeoutMs, // time for the host to start a private lobby
+    LOBBY_CODE_LENGTH: rules.match.lobbyCodeLength,
+    MAX_QUESTIONS_PER_MATCH: rules.match.maxQuestionsPerMatch,
+    MIN_ROUND_SECONDS: rules.match.minRoundSeconds,
+    MAX_ROUND_SECONDS: rules.match.maxRoundSeconds,
+  };
+}
 
-// Level thresholds based on correct answers
-const LEVEL_THRESHOLDS = {
-  1: 0,
-  2: 2,
-  3: 4,
-  4: 6,
-  5: 8,
-  6: 10,
-  7: 12,
-  8: 14,
-  9: 16,
-  10: 18,
-};
+// Default rule set; challenges and matchmaking always use it, lobbies may pick another
+const GAME_CONFIG = gameConfigFor(getRuleSet());
+
+/**
+ * Rule set a room was created with (settings.ruleSet)
+ */
+function roomRules(room) {
+  return getRuleSet(room.settings.ruleSet) || getRuleSet();
+}
+
+function roomConfig(room) {
+  return gameConfigFor(roomRules(room));
+}
 
 /**
  * POST /api/match/challenge
- * Initiates a challenge: validates players and creates a room
- * Body: { fromPlayerId, toPlayerId, difficulty }
- * Returns: { roomId, message }
+ * Sends challenge invitations from the signed-in player; the room is only
+ * created once every invited player accepts
+ * Body: { toPlayerId | toPlayerIds: [...], difficulty }
+ * Returns: { groupId, invitations: [{ invitationId, to }], expiresAt, message }
  */
 exports.createChallenge = async (req, res) => {
   try {
     const io = req.app.get("io");
-    const { fromPlayerId, toPlayerId, difficulty = "medium" } = req.body;
+    const fromPlayerId = String(req.user._id);
+    const { toPlayerId, toPlayerIds, difficulty = "medium" } = req.body;
+
+    const invitees = [
+      ...new Set(
+        (Array.isArray(toPlayerIds) ? toPlayerIds : [toPlayerId]).map(String)
+      ),
+    ];
 
     // Validation
-    if (!fromPlayerId || !toPlayerId) {
+    if (
+      !invitees.length ||
+      !invitees.every((id) => mongoose.isValidObjectId(id))
+    ) {
       return res
         .status(400)
-        .json({ message: "fromPlayerId and toPlayerId required" });
+        .json({ message: "Valid toPlayerId or toPlayerIds required" });
+    }
+
+    if (
+      invitees.length + 1 < GAME_CONFIG.MIN_PLAYERS ||
+      invitees.length + 1 > GAME_CONFIG.MAX_PLAYERS
+    ) {
+      return res.status(400).json({
+        message: `A match needs ${GAME_CONFIG.MIN_PLAYERS} to ${GAME_CONFIG.MAX_PLAYERS} players`,
+      });
     }
 
     if (!["easy", "medium", "hard"].includes(difficulty)) {
       return res.status(400).json({ message: "Invalid difficulty level" });
     }
 
-    if (fromPlayerId === toPlayerId) {
+    if (invitees.includes(fromPlayerId)) {
       return res.status(400).json({ message: "Cannot challenge yourself" });
     }
 
-    // Verify both players exist
-    const [fromPlayer, toPlayer] = await Promise.all([
-      Player.findById(fromPlayerId),
-      Player.findById(toPlayerId),
-    ]);
+    const toPlayers = await Player.find({ _id: { $in: invitees } }).select(
+      "username"
+    );
+    if (toPlayers.length !== invitees.length) {
+      return res.status(404).json({ message: "One or more players not found" });
+    }
 
-    if (!fromPlayer || !toPlayer) {
-      return res.status(404).json({ message: "One or both players not found" });
+    const existing = await Invitation.findOne(
+      Invitation.openFilter({ from: fromPlayerId, to: { $in: invitees } })
+    );
+    if (existing) {
+      return res.status(409).json({
+        message: "You already have a pending challenge to one of these players",
+        invitationId: existing._id,
+      });
     }
 
-    const roomId = uuidv4();
-    rooms[roomId] = {
-      players: [fromPlayerId, toPlayerId],
-      playerNames: {
-        [fromPlayerId]: fromPlayer.username,
-        [toPlayerId]: toPlayer.username,
-      },
-      scores: {},
+    const groupId = uuidv4();
+    const expiresAt = new Date(Date.now() + GAME_CONFIG.INVITATION_TIMEOUT);
+    const invitations = await Invitation.insertMany(
+      toPlayers.map((p) => ({
+        from: fromPlayerId,
+        to: p._id,
+        groupId,
+        groupSize: invitees.length,
+        difficulty,
+        expiresAt,
+      }))
+    );
+    scheduleInvitationExpiry(io, groupId, expiresAt);
+
+    const players = [req.user, ...toPlayers].map((p) => ({
+      id: String(p._id),
+      username: p.username,
+    }));
+    invitations.forEach((invitation) => {
+      notifyPlayer(io, invitation.to, "challengeReceived", {
+        invitationId: invitation._id,
+        groupId,
+        from: { id: fromPlayerId, username: req.user.username },
+        players,
+        difficulty,
+        expiresAt,
+      });
+    });
+
+    return res.status(201).json({
+      invitationId: invitations.length === 1 ? invitations[0]._id : undefined,
+      groupId,
+      invitations: invitations.map((i) => ({ invitationId: i._id, to: i.to })),
+      message: "Challenge sent",
       difficulty,
-      level: 1,
-      initialized: false,
-      responses: {},
-      questionCount: 0,
-      questionsAsked: [],
-      startTime: null,
-      currentQuestion: null,
-    };
+      expiresAt,
+    });
+  } catch (error) {
+    console.error("Error creating challenge:", error);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * POST /api/match/challenge/:invitationId/accept
+ * Accepts a pending invitation addressed to the signed-in player. When the
+ * last player in the group accepts, the room is created and MATCH_TIMEOUT
+ * starts from there.
+ * Returns: { roomId, message } or { roomId: null, waitingFor } while others decide
+ */
+exports.acceptChallenge = async (req, res) => {
+  try {
+    const io = req.app.get("io");
+    const { invitationId } = req.params;
+    if (!mongoose.isValidObjectId(invitationId)) {
+      return res.status(400).json({ message: "Invalid invitation id" });
+    }
 
-    // Set up room timeout
-    roomTimeouts[roomId] = setTimeout(() => {
-      cleanupRoom(roomId, "timeout");
-    }, GAME_CONFIG.MATCH_TIMEOUT);
+    const me = String(req.user._id);
+    if (isPlayerInRoom(me)) {
+      return res.status(409).json({ message: "Already in a match" });
+    }
 
-    setupSocketForRoom(io, roomId);
+    const invitation = await Invitation.findOneAndUpdate(
+      Invitation.openFilter({ _id: invitationId, to: me }),
+      { $set: { status: "accepted", respondedAt: new Date() } },
+      { new: true }
+    );
+    if (!invitation) {
+      return res
+        .status(404)
+        .json({ message: "Invitation not found or no longer pending" });
+    }
+    leaveMatchmakingQueue(me);
+
+    const group = await Invitation.find({ groupId: invitation.groupId }).sort({
+      _id: 1,
+    });
+    const waitingFor = group.filter((i) => i.status === "pending").length;
+
+    if (waitingFor > 0) {
+      notifyPlayer(io, invitation.from, "challengeAccepted", {
+        invitationId: invitation._id,
+        groupId: invitation.groupId,
+        roomId: null,
+        by: { id: me, username: req.user.username },
+        waitingFor,
+      });
+      return res.json({
+        roomId: null,
+        message: "Challenge accepted, waiting for other players",
+        waitingFor,
+        difficulty: invitation.difficulty,
+      });
+    }
+
+    // Last acceptance: exactly one request gets to create the room
+    const roomId = uuidv4();
+    const claimed = await Invitation.findOneAndUpdate(
+      { _id: group[0]._id, roomId: null },
+      { $set: { roomId } }
+    );
+    if (!claimed) {
+      return res.status(409).json({ message: "Room is already being created" });
+    }
+    clearInvitationExpiry(invitation.groupId);
+
+    const participantIds = [
+      String(invitation.from),
+      ...group.map((i) => String(i.to)),
+    ];
+    const participants = await Player.find({ _id: { $in: participantIds } });
+    const busy = participantIds.some((id) => isPlayerInRoom(id));
+    if (participants.length !== participantIds.length || busy) {
+      await Invitation.updateMany(
+        { groupId: invitation.groupId },
+        { $set: { status: "cancelled", roomId: null } }
+      );
+      participantIds.forEach((id) =>
+        notifyPlayer(io, id, "challengeCancelled", {
+          groupId: invitation.groupId,
+        })
+      );
+      return res
+        .status(409)
+        .json({ message: "A player is unavailable, challenge cancelled" });
+    }
+
+    // Challenger first, then invitees in the order they were invited
+    participants.sort(
+      (a, b) =>
+        participantIds.indexOf(String(a._id)) -
+        participantIds.indexOf(String(b._id))
+    );
+    createRoom(io, participants, invitation.difficulty, { roomId });
+    await Invitation.updateMany(
+      { groupId: invitation.groupId },
+      { $set: { roomId } }
+    );
+
+    notifyPlayer(io, invitation.from, "challengeAccepted", {
+      invitationId: invitation._id,
+      groupId: invitation.groupId,
+      roomId,
+      by: { id: me, username: req.user.username },
+      difficulty: invitation.difficulty,
+      waitingFor: 0,
+    });
+    group
+      .filter((i) => String(i.to) !== me)
+      .forEach((i) =>
+        notifyPlayer(io, i.to, "matchReady", {
+          groupId: invitation.groupId,
+          roomId,
+          difficulty: invitation.difficulty,
+        })
+      );
 
     return res.json({
       roomId,
-      message: "Challenge created successfully",
-      difficulty,
+      message: "Challenge accepted",
+      difficulty: invitation.difficulty,
     });
   } catch (error) {
-    console.error("Error creating challenge:", error);
+    console.error("Error accepting challenge:", error);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * POST /api/match/challenge/:invitationId/decline
+ * Declines a pending invitation addressed to the signed-in player, or
+ * withdraws one they accepted while the group waits; the rest of its group
+ * is called off
+ */
+exports.declineChallenge = async (req, res) => {
+  try {
+    const io = req.app.get("io");
+    const { invitationId } = req.params;
+    if (!mongoose.isValidObjectId(invitationId)) {
+      return res.status(400).json({ message: "Invalid invitation id" });
+    }
+
+    // an accepted invitation can be withdrawn until the room exists
+    const invitation = await Invitation.findOneAndUpdate(
+      Invitation.unsettledFilter({ _id: invitationId, to: req.user._id }),
+      { $set: { status: "declined", respondedAt: new Date() } },
+      { new: true }
+    );
+    if (!invitation) {
+      return res
+        .status(404)
+        .json({ message: "Invitation not found or no longer pending" });
+    }
+    await closeInvitationGroup(io, invitation.groupId, "cancelled");
+
+    notifyPlayer(io, invitation.from, "challengeDeclined", {
+      invitationId: invitation._id,
+      groupId: invitation.groupId,
+      by: { id: String(req.user._id), username: req.user.username },
+    });
+
+    return res.json({ message: "Challenge declined" });
+  } catch (error) {
+    console.error("Error declining challenge:", error);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * DELETE /api/match/challenge/:invitationId
+ * Cancels a challenge sent by the signed-in player, for every invitee in its group
+ */
+exports.cancelChallenge = async (req, res) => {
+  try {
+    const io = req.app.get("io");
+    const { invitationId } = req.params;
+    if (!mongoose.isValidObjectId(invitationId)) {
+      return res.status(400).json({ message: "Invalid invitation id" });
+    }
+
+    // Accepted invitations can still be called off until the room exists
+    const invitation = await Invitation.findOne({
+      _id: invitationId,
+      from: req.user._id,
+      status: { $in: ["pending", "accepted"] },
+      roomId: null,
+    });
+    if (!invitation) {
+      return res
+        .status(404)
+        .json({ message: "Invitation not found or no longer pending" });
+    }
+    await closeInvitationGroup(io, invitation.groupId, "cancelled");
+
+    return res.json({ message: "Challenge cancelled" });
+  } catch (error) {
+    console.error("Error cancelling challenge:", error);
     return res.status(500).json({ message: "Server error" });
   }
 };
 
+/**
+ * GET /api/match/challenges
+ * Unexpired invitations for the signed-in player that haven't produced a
+ * room yet: pending ones, and accepted ones waiting on the rest of the group
+ * Returns: { incoming: [...], outgoing: [...] }
+ */
+exports.listChallenges = async (req, res) => {
+  try {
+    const me = req.user._id;
+    const [incoming, outgoing] = await Promise.all([
+      Invitation.find(Invitation.unsettledFilter({ to: me }))
+        .sort({ createdAt: -1 })
+        .populate("from", "username country"),
+      Invitation.find(Invitation.unsettledFilter({ from: me }))
+        .sort({ createdAt: -1 })
+        .populate("to", "username country"),
+    ]);
+
+    return res.json({ incoming, outgoing });
+  } catch (error) {
+    console.error("Error listing challenges:", error);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Send an event to every socket a player has open on the default namespace
+ */
+function notifyPlayer(io, playerId, event, payload) {
+  io.to(`player:${playerId}`).emit(event, payload);
+}
+
+/**
+ * Call off every invitation in a group that hasn't produced a room yet
+ * and tell the challenger and invitees
+ * @param {string} status - 'cancelled' or 'expired'
+ */
+async function closeInvitationGroup(io, groupId, status) {
+  clearInvitationExpiry(groupId);
+
+  const open = await Invitation.find({
+    groupId,
+    status: { $in: ["pending", "accepted"] },
+    roomId: null,
+  });
+  if (!open.length) return;
+
+  await Invitation.updateMany(
+    { _id: { $in: open.map((i) => i._id) } },
+    { $set: { status } }
+  );
+
+  const event =
+    status === "expired" ? "challengeExpired" : "challengeCancelled";
+  const notified = new Set([
+    String(open[0].from),
+    ...open.map((i) => String(i.to)),
+  ]);
+  notified.forEach((playerId) =>
+    notifyPlayer(io, playerId, event, { groupId })
+  );
+}
+
+/**
+ * Expire a group's invitations when their time runs out.
+ * Listing and accepting also check expiresAt, so a restart only loses the notice.
+ */
+function scheduleInvitationExpiry(io, groupId, expiresAt) {
+  invitationTimeouts[groupId] = setTimeout(async () => {
+    delete invitationTimeouts[groupId];
+    try {
+      await closeInvitationGroup(io, groupId, "expired");
+    } catch (error) {
+      console.error("Error expiring invitation:", error);
+    }
+  }, expiresAt.getTime() - Date.now());
+}
+
+function clearInvitationExpiry(groupId) {
+  if (invitationTimeouts[groupId]) {
+    clearTimeout(invitationTimeouts[groupId]);
+    delete invitationTimeouts[groupId];
+  }
+}
+
+/**
+ * Create a room for the given players and bind its socket namespace
+ * Used by direct challenges, matchmaking and private lobbies
+ * @param {Object} io - Socket.IO server
+ * @param {Array} players - Player documents (or { _id, username })
+ * @param {string} difficulty - 'easy', 'medium' or 'hard'
+ * @param {Object} [options]
+ * @param {string} [options.roomId] - Pre-allocated id, generated if omitted
+ * @param {Object} [options.settings] - Overrides for defaultRoomSettings()
+ * @param {Object} [options.lobby] - { code, hostId } for a private lobby
+ * @returns {string} roomId
+ */
+function createRoom(io, players, difficulty, options = {}) {
+  const roomId = options.roomId || uuidv4();
+  rooms[roomId] = {
+    players: players.map((p) => String(p._id)),
+    playerNames: Object.fromEntries(
+      players.map((p) => [String(p._id), p.username])
+    ),
+    scores: {},
+    difficulty,
+    level: 1,
+    initialized: false,
+    responses: {},
+    questionCount: 0,
+    questionsAsked: [], // questionKeys asked in this match
+    recentQuestionKeys: [], // seen by any player before the match, oldest first
+    rounds: [],
+    startTime: null,
+    currentQuestion: null,
+    questionSentAt: null,
+    connected: {}, // playerId -> socket id currently representing them
+    forfeited: [], // players who didn't reconnect in time, in order
+    spectators: new Set(), // socket ids of read-only watchers
+    settings: {
+      ...defaultRoomSettings(options.settings?.ruleSet),
+      ...options.settings,
+    },
+    // private lobbies wait for the host to start instead of auto-starting
+    lobby: options.lobby || null,
+  };
+
+  // Set up room timeout
+  const config = roomConfig(rooms[roomId]);
+  const timeout = options.lobby ? config.LOBBY_TIMEOUT : config.MATCH_TIMEOUT;
+  roomTimeouts[roomId] = setTimeout(() => {
+    cleanupRoom(roomId, "timeout");
+  }, timeout);
+
+  rooms[roomId].players.forEach(leaveMatchmakingQueue);
+  setupSocketForRoom(io, roomId);
+  return roomId;
+}
+
+/**
+ * Per-room rules; lobbies can change these before the match starts
+ * @param {string} [ruleSet] - Rule set name, the default set if omitted
+ */
+function defaultRoomSettings(ruleSet = getDefaultRuleSetName()) {
+  const config = gameConfigFor(getRuleSet(ruleSet));
+  return {
+    ruleSet,
+    questionsPerMatch: config.QUESTIONS_PER_MATCH,
+    roundTimeout: config.ROUND_TIMEOUT,
+    symbols: [], // empty means every symbol
+    format: null, // null means each question's own format
+  };
+}
+
+/**
+ * Check whether a player is part of a room that hasn't been cleaned up yet
+ * @param {string} playerId
+ * @returns {boolean}
+ */
+function isPlayerInRoom(playerId) {
+  return Object.values(rooms).some((room) =>
+    room.players.includes(String(playerId))
+  );
+}
+
+/**
+ * Drop a player's matchmaking queue entry once they commit to another match.
+ * matchmakingController requires this module, so it is loaded lazily.
+ */
+function leaveMatchmakingQueue(playerId) {
+  require("./matchmakingController").removeFromQueue(String(playerId));
+}
+
+/**
+ * Random join code from characters that are hard to mix up when read aloud
+ */
+function generateLobbyCode() {
+  const alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+  let code;
+  do {
+    code = Array.from(
+      { length: GAME_CONFIG.LOBBY_CODE_LENGTH },
+      () => alphabet[Math.floor(Math.random() * alphabet.length)]
+    ).join("");
+  } while (lobbyCodes[code]);
+  return code;
+}
+
+/**
+ * Validate host-chosen settings from a request body
+ * Body: { difficulty, ruleSet, questionsPerMatch, roundTime (seconds), symbols: [], format }
+ * Switching rule set resets questionsPerMatch and roundTime to the new
+ * set's defaults unless they are given in the same request. A new lobby
+ * starts under the host's assigned rule set; see canUseRuleSet for who may
+ * pick which set.
+ * @param {Object} host - Player changing the settings
+ * @returns {Object} { difficulty, settings } or { error, status }
+ */
+function parseLobbySettings(body, current = {}, host = null) {
+  const difficulty = body.difficulty ?? current.difficulty ?? "medium";
+  if (!["easy", "medium", "hard"].includes(difficulty)) {
+    return { error: "Invalid difficulty level" };
+  }
+
+  const currentRuleSet = current.settings?.ruleSet || ruleSetFor(host);
+  const ruleSet = body.ruleSet ?? currentRuleSet;
+  if (!getRuleSet(ruleSet)) {
+    return { error: `Unknown rule set: ${ruleSet}` };
+  }
+  if (ruleSet !== currentRuleSet && !canUseRuleSet(host, ruleSet)) {
+    return {
+      error: `Rule set "${ruleSet}" has not been assigned to you`,
+      status: 403,
+    };
+  }
+  const config = gameConfigFor(getRuleSet(ruleSet));
+
+  const settings =
+    ruleSet === currentRuleSet
+      ? { ...defaultRoomSettings(ruleSet), ...current.settings }
+      : {
+          ...current.settings,
+          ...defaultRoomSettings(ruleSet),
+          symbols: current.settings?.symbols || [],
+          format: current.settings?.format ?? null,
+        };
+
+  if (body.questionsPerMatch !== undefined) {
+    const count = Number(body.questionsPerMatch);
+    if (
+      !Number.isInteger(count) ||
+      count < 1 ||
+      count > config.MAX_QUESTIONS_PER_MATCH
+    ) {
+      return {
+        error: `questionsPerMatch must be 1 to ${config.MAX_QUESTIONS_PER_MATCH}`,
+      };
+    }
+    settings.questionsPerMatch = count;
+  }
+
+  if (body.roundTime !== undefined) {
+    const seconds = Number(body.roundTime);
+    if (
+      isNaN(seconds) ||
+      seconds < config.MIN_ROUND_SECONDS ||
+      seconds > config.MAX_ROUND_SECONDS
+    ) {
+      return {
+        error: `roundTime must be ${config.MIN_ROUND_SECONDS} to ${config.MAX_ROUND_SECONDS} seconds`,
+      };
+    }
+    settings.roundTimeout = Math.round(seconds * 1000);
+  }
+
+  if (body.symbols !== undefined) {
+    const list = Array.isArray(body.symbols)
+      ? body.symbols
+      : String(body.symbols).split(",");
+    const symbols = list
+      .map((s) => String(s).trim().toLowerCase())
+      .filter(Boolean);
+    settings.symbols = [...new Set(symbols)];
+  }
+
+  if (body.format !== undefined) {
+    if (body.format !== null && !FORMATS.includes(body.format)) {
+      return { error: `format must be one of: ${FORMATS.join(", ")}` };
+    }
+    settings.format = body.format;
+  }
+
+  return { difficulty, settings };
+}
+
+function getLobbyState(room) {
+  return {
+    code: room.lobby.code,
+    hostId: room.lobby.hostId,
+    difficulty: room.difficulty,
+    settings: {
+      ruleSet: room.settings.ruleSet,
+      questionsPerMatch: room.settings.questionsPerMatch,
+      roundTime: room.settings.roundTimeout / 1000,
+      symbols: room.settings.symbols,
+      format: room.settings.format,
+    },
+    players: room.players.map((id) => ({
+      id,
+      username: room.playerNames[id],
+      connected: Boolean(room.connected[id]),
+    })),
+    maxPlayers: roomConfig(room).MAX_PLAYERS,
+  };
+}
+
+/**
+ * Look up a lobby that hasn't started; sends the error response if not usable
+ * @returns {Object|null} room
+ */
+function findOpenLobby(req, res, { hostOnly = false } = {}) {
+  const room = rooms[req.params.roomId];
+  if (!room || !room.lobby) {
+    res.status(404).json({ message: "Lobby not found" });
+    return null;
+  }
+  if (room.initialized) {
+    res.status(409).json({ message: "Match already started" });
+    return null;
+  }
+  if (hostOnly && room.lobby.hostId !== String(req.user._id)) {
+    res.status(403).json({ message: "Only the host can do that" });
+    return null;
+  }
+  return room;
+}
+
+function removeFromLobby(nsp, room, playerId) {
+  const socketId = room.connected[playerId];
+  delete room.connected[playerId];
+  room.players = room.players.filter((id) => id !== playerId);
+  delete room.playerNames[playerId];
+  if (socketId) nsp.sockets.get(socketId)?.disconnect(true);
+}
+
+/**
+ * POST /api/match/lobby
+ * Creates a private lobby hosted by the signed-in player
+ * Body: { difficulty, ruleSet, questionsPerMatch, roundTime, symbols, format }
+ * Returns: { roomId, code, lobby }
+ */
+exports.createLobby = (req, res) => {
+  const io = req.app.get("io");
+  const hostId = String(req.user._id);
+
+  if (isPlayerInRoom(hostId)) {
+    return res.status(409).json({ message: "Already in a match" });
+  }
+
+  const parsed = parseLobbySettings(req.body, {}, req.user);
+  if (parsed.error) {
+    return res.status(parsed.status || 400).json({ message: parsed.error });
+  }
+
+  const code = generateLobbyCode();
+  const roomId = createRoom(io, [req.user], parsed.difficulty, {
+    settings: parsed.settings,
+    lobby: { code, hostId },
+  });
+  lobbyCodes[code] = roomId;
+
+  return res.status(201).json({
+    roomId,
+    code,
+    message: "Lobby created",
+    lobby: getLobbyState(rooms[roomId]),
+  });
+};
+
+/**
+ * POST /api/match/lobby/join
+ * Body: { code }
+ * Returns: { roomId, lobby }
+ */
+exports.joinLobby = (req, res) => {
+  const io = req.app.get("io");
+  const playerId = String(req.user._id);
+  const code = String(req.body.code || "")
+    .trim()
+    .toUpperCase();
+
+  const roomId = lobbyCodes[code];
+  const room = roomId && rooms[roomId];
+  if (!room) {
+    return res.status(404).json({ message: "No lobby with that code" });
+  }
+  if (room.initialized) {
+    return res.status(409).json({ message: "Match already started" });
+  }
+  if (room.players.includes(playerId)) {
+    return res.json({ roomId, lobby: getLobbyState(room) });
+  }
+  if (isPlayerInRoom(playerId)) {
+    return res.status(409).json({ message: "Already in a match" });
+  }
+  if (room.players.length >= roomConfig(room).MAX_PLAYERS) {
+    return res.status(409).json({ message: "Lobby is full" });
+  }
+
+  room.players.push(playerId);
+  room.playerNames[playerId] = req.user.username;
+  leaveMatchmakingQueue(playerId);
+  io.of(`/match/${roomId}`).emit("lobbyUpdated", getLobbyState(room));
+
+  return res.json({
+    roomId,
+    message: "Joined lobby",
+    lobby: getLobbyState(room),
+  });
+};
+
+/**
+ * PATCH /api/match/lobby/:roomId
+ * Host changes difficulty, ruleSet, questionsPerMatch, roundTime, symbols or format
+ */
+exports.updateLobby = (req, res) => {
+  const io = req.app.get("io");
+  const room = findOpenLobby(req, res, { hostOnly: true });
+  if (!room) return;
+
+  const parsed = parseLobbySettings(req.body, room, req.user);
+  if (parsed.error) {
+    return res.status(parsed.status || 400).json({ message: parsed.error });
+  }
+
+  room.difficulty = parsed.difficulty;
+  room.settings = parsed.settings;
+  const lobby = getLobbyState(room);
+  io.of(`/match/${req.params.roomId}`).emit("lobbyUpdated", lobby);
+
+  return res.json({ message: "Lobby updated", lobby });
+};
+
+/**
+ * POST /api/match/lobby/:roomId/start
+ * Host starts the match; every player in the lobby must be connected
+ */
+exports.startLobby = (req, res) => {
+  const io = req.app.get("io");
+  const room = findOpenLobby(req, res, { hostOnly: true });
+  if (!room) return;
+
+  const { MIN_PLAYERS } = roomConfig(room);
+  if (room.players.length < MIN_PLAYERS) {
+    return res.status(409).json({
+      message: `At least ${MIN_PLAYERS} players are needed`,
+    });
+  }
+  const notConnected = room.players.filter((id) => !room.connected[id]);
+  if (notConnected.length) {
+    return res.status(409).json({
+      message: "Waiting for every player to connect",
+      notConnected,
+    });
+  }
+
+  initializeMatch(io.of(`/match/${req.params.roomId}`), req.params.roomId);
+  return res.json({ message: "Match started", roomId: req.params.roomId });
+};
+
+/**
+ * POST /api/match/lobby/:roomId/leave
+ * A guest leaves; if the host leaves the lobby is closed
+ */
+exports.leaveLobby = (req, res) => {
+  const io = req.app.get("io");
+  const { roomId } = req.params;
+  const playerId = String(req.user._id);
+  const room = findOpenLobby(req, res);
+  if (!room) return;
+
+  if (!room.players.includes(playerId)) {
+    return res.status(404).json({ message: "Not in this lobby" });
+  }
+
+  const nsp = io.of(`/match/${roomId}`);
+  if (room.lobby.hostId === playerId) {
+    nsp.emit("lobbyClosed", { reason: "host_left" });
+    nsp.disconnectSockets(true);
+    cleanupRoom(roomId, "host_left");
+    return res.json({ message: "Lobby closed" });
+  }
+
+  removeFromLobby(nsp, room, playerId);
+  nsp.emit("lobbyUpdated", getLobbyState(room));
+  return res.json({ message: "Left lobby" });
+};
+
+/**
+ * DELETE /api/match/lobby/:roomId/players/:playerId
+ * Host removes a guest from the lobby
+ */
+exports.kickFromLobby = (req, res) => {
+  const io = req.app.get("io");
+  const { roomId, playerId } = req.params;
+  const room = findOpenLobby(req, res, { hostOnly: true });
+  if (!room) return;
+
+  if (playerId === room.lobby.hostId || !room.players.includes(playerId)) {
+    return res.status(400).json({ message: "Not a guest in this lobby" });
+  }
+
+  const nsp = io.of(`/match/${roomId}`);
+  removeFromLobby(nsp, room, playerId);
+  notifyPlayer(io, playerId, "lobbyKicked", { roomId });
+  nsp.emit("lobbyUpdated", getLobbyState(room));
+
+  return res.json({ message: "Player removed", lobby: getLobbyState(room) });
+};
+
 /**
  * Setup socket namespace for a room with improved error handling
  */
 function setupSocketForRoom(io, roomId) {
   const nsp = io.of(`/match/${roomId}`);
 
+  // Clients connect with io(`/match/${roomId}`, { auth: { token } });
+  // only the room's own players get through, anyone else signed in may
+  // watch by adding spectate: true (plus code: the join code for a private lobby)
+  nsp.use(socketAuth);
+  nsp.use((socket, next) => {
+    const room = rooms[roomId];
+    if (!room) return next(new Error("Room no longer exists"));
+    const playerId = String(socket.data.player._id);
+    if (room.forfeited.includes(playerId)) {
+      return next(new Error("You forfeited this match"));
+    }
+    if (room.players.includes(playerId)) return next();
+
+    if (!socket.handshake.auth?.spectate) {
+      return next(new Error("Not a player in this room"));
+    }
+    const code = String(socket.handshake.auth.code || "")
+      .trim()
+      .toUpperCase();
+    if (room.lobby && code !== room.lobby.code) {
+      return next(new Error("Private match: the lobby code is required"));
+    }
+    if (room.spectators.size >= roomConfig(room).MAX_SPECTATORS) {
+      return next(new Error("Spectator limit reached"));
+    }
+    socket.data.spectator = true;
+    next();
+  });
+
   nsp.on("connection", (socket) => {
     console.log(`Socket connected to /match/${roomId}:`, socket.id);
-    socket.join(roomId);
 
     const room = rooms[roomId];
     if (!room) {
@@ -125,20 +923,34 @@ function setupSocketForRoom(io, roomId) {
       return;
     }
 
-    // Initialize match when both players connect
-    const connectedCount = nsp.sockets.size; // Map#size
-    if (!room.initialized && connectedCount === room.players.length) {
-      console.log("Both players connected—initializing match");
+    if (socket.data.spectator) {
+      handleSpectatorConnect(nsp, roomId, socket);
+      return;
+    }
+
+    // Identity comes from the verified token, never from event payloads
+    const playerId = String(socket.data.player._id);
+
+    socket.join(roomId);
+    room.connected[playerId] = socket.id;
+
+    if (room.initialized) {
+      handlePlayerReconnect(nsp, roomId, playerId, socket);
+    } else if (room.lobby) {
+      nsp.emit("lobbyUpdated", getLobbyState(room));
+    } else if (room.players.every((id) => room.connected[id])) {
+      // Initialize match when every invited player has connected
+      console.log("All players connected—initializing match");
       initializeMatch(nsp, roomId);
     }
 
-    socket.on("submitAnswer", ({ playerId, answer, timeLeft }) => {
-      handleAnswerSubmission(nsp, roomId, playerId, answer, timeLeft);
+    socket.on("submitAnswer", (payload) => {
+      handleAnswerSubmission(nsp, roomId, playerId, payload && payload.answer);
     });
 
     socket.on("disconnect", () => {
       console.log(`Socket disconnected from /match/${roomId}:`, socket.id);
-      handlePlayerDisconnect(nsp, roomId, socket.id);
+      handlePlayerDisconnect(nsp, roomId, playerId, socket.id);
     });
 
     // socket.on('playerReady', ({ playerId }) => {
@@ -147,7 +959,7 @@ function setupSocketForRoom(io, roomId) {
   });
 }
 
-function initializeMatch(nsp, roomId) {
+async function initializeMatch(nsp, roomId) {
   const room = rooms[roomId];
   if (!room) return;
   console.log("match initialized");
@@ -157,14 +969,33 @@ function initializeMatch(nsp, roomId) {
   room.initialized = true;
   room.startTime = Date.now();
 
+  // From here the round timers bound the match; MATCH_TIMEOUT only guards
+  // rooms that never start
+  if (roomTimeouts[roomId]) {
+    clearTimeout(roomTimeouts[roomId]);
+    delete roomTimeouts[roomId];
+  }
+
   nsp.emit("matchStarted", {
-    timer: GAME_CONFIG.ROUND_TIMEOUT / 1000,
+    timer: room.settings.roundTimeout / 1000,
     level: room.level,
     difficulty: room.difficulty,
-    totalQuestions: GAME_CONFIG.QUESTIONS_PER_MATCH,
+    totalQuestions: room.settings.questionsPerMatch,
     players: room.playerNames,
+    spectatorCount: room.spectators.size,
   });
 
+  // What any player saw recently, oldest first, so questions avoid repeats
+  try {
+    const histories = await Promise.all(
+      room.players.map((id) => QuestionHistory.recentKeys(id))
+    );
+    room.recentQuestionKeys = histories.flat();
+  } catch (error) {
+    console.error("Error loading question history:", error);
+  }
+
+  if (!rooms[roomId]) return;
   sendNextQuestion(nsp, roomId);
 }
 
@@ -174,37 +1005,63 @@ function sendNextQuestion(nsp, roomId) {
 
   try {
     // Determine level based on lowest score (keeps game balanced)
-    const minScore = Math.min(...Object.values(room.scores));
-    room.level = getLevelFromScore(minScore);
+    const minScore = Math.min(
+      ...activePlayers(room).map((id) => room.scores[id])
+    );
+    room.level = getLevelFromScore(minScore, roomRules(room));
 
-    const allQuestions = loadQuestionsFromExcel();
+    const allQuestions = getQuestions();
     const availableQuestions = allQuestions.filter(
       (q) =>
         q.levelNumber === room.level &&
         q.difficulty === room.difficulty &&
-        !room.questionsAsked.includes(q.id)
+        matchesSymbols(q, room.settings.symbols) &&
+        !room.questionsAsked.includes(questionIdentity(q))
     );
 
-    if (availableQuestions.length === 0) {
+    // Prefer questions no player has seen lately, then a generated one,
+    // then whichever unused question was seen longest ago
+    let picked = pickQuestion(availableQuestions, room.recentQuestionKeys);
+    if (!picked || !picked.fresh) {
+      const generated = generateQuestion({
+        difficulty: room.difficulty,
+        finalLevel: room.level,
+        symbols: room.settings.symbols,
+      });
+      if (generated) picked = { question: generated, fresh: true };
+    }
+
+    if (!picked) {
       // Fallback to any question of the right difficulty if no unused questions
       const fallbackQuestions = allQuestions.filter(
-        (q) => q.difficulty === room.difficulty
+        (q) =>
+          q.difficulty === room.difficulty &&
+          matchesSymbols(q, room.settings.symbols)
       );
       if (fallbackQuestions.length === 0) {
         endMatch(nsp, roomId, "no_questions");
         return;
       }
-      room.currentQuestion =
-        fallbackQuestions[Math.floor(Math.random() * fallbackQuestions.length)];
-    } else {
-      room.currentQuestion =
-        availableQuestions[
-          Math.floor(Math.random() * availableQuestions.length)
-        ];
+      picked = {
+        question:
+          fallbackQuestions[Math.floor(Math.random() * fallbackQuestions.length)],
+      };
     }
 
-    room.questionsAsked.push(room.currentQuestion.id);
+    room.currentQuestion = presentQuestion(
+      picked.question,
+      room.settings.format
+    );
+    const questionKey = questionIdentity(room.currentQuestion);
+    room.questionsAsked.push(questionKey);
+    activePlayers(room).forEach((id) =>
+      QuestionHistory.recordSeen(id, questionKey).catch((error) =>
+        console.error("Error recording question history:", error)
+      )
+    );
     room.responses = {};
+    room.questionSentAt = Date.now();
+    room.roundOpen = true;
 
     nsp.emit("newQuestion", {
       question: {
@@ -213,24 +1070,65 @@ function sendNextQuestion(nsp, roomId) {
       },
       level: room.level,
       questionNumber: room.questionCount + 1,
-      totalQuestions: GAME_CONFIG.QUESTIONS_PER_MATCH,
+      totalQuestions: room.settings.questionsPerMatch,
     });
+
+    // The server closes the round even if someone never answers
+    roundTimeouts[roomId] = setTimeout(
+      () => handleRoundTimeout(nsp, roomId),
+      room.settings.roundTimeout
+    );
   } catch (error) {
     console.error("Error sending question:", error);
     endMatch(nsp, roomId, "error");
   }
 }
 
-function handleAnswerSubmission(nsp, roomId, playerId, answer, timeLeft = 0) {
+/**
+ * Whether a question uses one of the allowed symbols (all allowed if none given)
+ */
+function matchesSymbols(question, symbols) {
+  if (!symbols || !symbols.length) return true;
+  if (!question.symbol) return false;
+  const qSymbols = String(question.symbol)
+    .split(",")
+    .map((s) => s.trim().toLowerCase());
+  return symbols.some((sym) => qSymbols.includes(sym));
+}
+
+/**
+ * Players still competing: everyone except those who forfeited
+ */
+function activePlayers(room) {
+  return room.players.filter((id) => !room.forfeited.includes(id));
+}
+
+/**
+ * Answers arrive straight from the socket; keep strings, numbers and
+ * booleans (as strings) and drop anything else, so an object or array can
+ * never reach grading or the stored match
+ */
+function normalizeAnswer(answer) {
+  if (["string", "number", "boolean"].includes(typeof answer)) {
+    return String(answer);
+  }
+  return null;
+}
+
+function handleAnswerSubmission(nsp, roomId, playerId, rawAnswer) {
   const room = rooms[roomId];
-  if (!room || !room.currentQuestion) return;
+  if (!room || !room.currentQuestion || !room.roundOpen) return;
 
   // Prevent duplicate submissions
   if (room.responses[playerId]) return;
 
-  const correct =
-    String(answer).trim().toLowerCase() ===
-    String(room.currentQuestion.answer).trim().toLowerCase();
+  // Speed is measured on the server, from sending the question to receiving the answer
+  const responseTimeMs = Date.now() - room.questionSentAt;
+  const timeLeft =
+    Math.max(0, room.settings.roundTimeout - responseTimeMs) / 1000;
+
+  const answer = normalizeAnswer(rawAnswer);
+  const { correct, reason } = checkAnswer(answer, room.currentQuestion);
 
   // Award points with time bonus
   let points = 0;
@@ -239,26 +1137,109 @@ function handleAnswerSubmission(nsp, roomId, playerId, answer, timeLeft = 0) {
     // Time bonus: up to 0.5 additional points based on speed
     const timeBonus = Math.min(
       0.5,
-      (timeLeft / (GAME_CONFIG.ROUND_TIMEOUT / 1000)) * 0.5
+      (timeLeft / (room.settings.roundTimeout / 1000)) * 0.5
     );
     points += timeBonus;
   }
 
   room.scores[playerId] = (room.scores[playerId] || 0) + points;
-  room.responses[playerId] = { answer, correct, points };
+  room.responses[playerId] = {
+    answer,
+    correct,
+    reason,
+    points,
+    responseTimeMs,
+  };
+
+  SkillMastery.recordAnswer(playerId, {
+    symbol: room.currentQuestion.symbol,
+    finalLevel: room.currentQuestion.finalLevel,
+    correct,
+    responseTimeMs,
+  }).catch((error) => console.error("Error recording skill mastery:", error));
+
+  checkRoundComplete(nsp, roomId);
+}
 
-  // Check if all players have responded
-  if (Object.keys(room.responses).length === room.players.length) {
+/**
+ * Close the round once every active player has responded
+ */
+function checkRoundComplete(nsp, roomId) {
+  const room = rooms[roomId];
+  if (!room || !room.roundOpen) return;
+
+  if (activePlayers(room).every((id) => room.responses[id])) {
     processRoundResults(nsp, roomId);
   }
 }
 
+/**
+ * Round timer expired: anyone who hasn't answered scores nothing for it
+ */
+function handleRoundTimeout(nsp, roomId) {
+  delete roundTimeouts[roomId];
+  const room = rooms[roomId];
+  if (!room || !room.currentQuestion || !room.roundOpen) return;
+
+  activePlayers(room).forEach((id) => {
+    if (room.responses[id]) return;
+    room.responses[id] = {
+      answer: null,
+      correct: false,
+      reason: REJECTION_REASONS.TIMED_OUT,
+      points: 0,
+      timedOut: true,
+      responseTimeMs: room.settings.roundTimeout,
+    };
+  });
+
+  processRoundResults(nsp, roomId);
+}
+
+function clearRoundTimeout(roomId) {
+  if (roundTimeouts[roomId]) {
+    clearTimeout(roundTimeouts[roomId]);
+    delete roundTimeouts[roomId];
+  }
+}
+
 function processRoundResults(nsp, roomId) {
   const room = rooms[roomId];
   if (!room) return;
 
+  clearRoundTimeout(roomId);
+  room.roundOpen = false;
+
   room.questionCount++;
 
+  // Keep the round for match history
+  const q = room.currentQuestion;
+  room.rounds.push({
+    questionNumber: room.questionCount,
+    question: {
+      questionKey: q.questionKey,
+      question: q.question,
+      input1: q.input1,
+      input2: q.input2,
+      answer: q.answer,
+      symbol: q.symbol,
+      finalLevel: q.finalLevel,
+      format: q.format,
+      choices: q.choices || undefined,
+    },
+    level: room.level,
+    askedAt: new Date(room.questionSentAt),
+    responses: Object.entries(room.responses).map(([player, r]) => ({
+      player,
+      answer: r.answer,
+      correct: r.correct,
+      reason: r.reason || null,
+      points: r.points,
+      responseTimeMs: r.responseTimeMs,
+      timedOut: Boolean(r.timedOut),
+    })),
+  });
+
   // Emit round results
   nsp.emit("roundResult", {
     scores: room.scores,
@@ -268,7 +1249,7 @@ function processRoundResults(nsp, roomId) {
   });
 
   // Check if match is complete
-  if (room.questionCount >= GAME_CONFIG.QUESTIONS_PER_MATCH) {
+  if (room.questionCount >= room.settings.questionsPerMatch) {
     setTimeout(() => endMatch(nsp, roomId, "completed"), 3000); // 3 second delay to show results
   } else {
     setTimeout(() => sendNextQuestion(nsp, roomId), 3000); // 3 second delay between questions
@@ -278,9 +1259,16 @@ function processRoundResults(nsp, roomId) {
 /**
  * Enhanced rating calculation with clearer logic
  */
-function calculateRatingChanges(playerA, playerB, scoreA, scoreB, difficulty) {
-  const ratingA = playerA.pr?.pvp?.[difficulty] || GAME_CONFIG.BASE_RATING;
-  const ratingB = playerB.pr?.pvp?.[difficulty] || GAME_CONFIG.BASE_RATING;
+function calculateRatingChanges(
+  playerA,
+  playerB,
+  scoreA,
+  scoreB,
+  difficulty,
+  config = GAME_CONFIG
+) {
+  const ratingA = playerA.pr?.pvp?.[difficulty] || config.BASE_RATING;
+  const ratingB = playerB.pr?.pvp?.[difficulty] || config.BASE_RATING;
 
   // Basic ELO calculation
   const K = 32; // K-factor
@@ -317,92 +1305,339 @@ function calculateRatingChanges(playerA, playerB, scoreA, scoreB, difficulty) {
 
   // Limit maximum rating change
   deltaA = Math.max(
-    -GAME_CONFIG.MAX_RATING_CHANGE,
-    Math.min(GAME_CONFIG.MAX_RATING_CHANGE, deltaA)
+    -config.MAX_RATING_CHANGE,
+    Math.min(config.MAX_RATING_CHANGE, deltaA)
   );
   deltaB = Math.max(
-    -GAME_CONFIG.MAX_RATING_CHANGE,
-    Math.min(GAME_CONFIG.MAX_RATING_CHANGE, deltaB)
+    -config.MAX_RATING_CHANGE,
+    Math.min(config.MAX_RATING_CHANGE, deltaB)
   );
 
   return { deltaA, deltaB };
 }
 
+/**
+ * Rating changes for a forfeit: a full win for the player who stayed and a
+ * full loss for the one who left, whatever the score was. No performance
+ * bonus, so a forfeit can't be used to lock in a lead.
+ */
+function calculateForfeitRatingChanges(
+  winner,
+  loser,
+  difficulty,
+  config = GAME_CONFIG
+) {
+  const ratingW = winner.pr?.pvp?.[difficulty] || config.BASE_RATING;
+  const ratingL = loser.pr?.pvp?.[difficulty] || config.BASE_RATING;
+
+  const K = 32;
+  const expectedW = 1 / (1 + Math.pow(10, (ratingL - ratingW) / 400));
+
+  const deltaWinner = Math.min(
+    config.MAX_RATING_CHANGE,
+    Math.round(K * (1 - expectedW))
+  );
+  const deltaLoser = Math.max(
+    -config.MAX_RATING_CHANGE,
+    -Math.round(K * (1 - expectedW))
+  );
+
+  return { deltaWinner, deltaLoser };
+}
+
+/**
+ * Order players for the final standings: active players by score, then
+ * forfeits (the latest to leave ranks highest among them). Equal scores
+ * share a rank.
+ * @returns {Array} [{ playerId, score, rank, forfeited }]
+ */
+function rankPlayers(room) {
+  const standings = room.players.map((id) => ({
+    playerId: id,
+    score: room.scores[id] || 0,
+    forfeited: room.forfeited.includes(id),
+  }));
+
+  standings.sort((a, b) => {
+    if (a.forfeited !== b.forfeited) return a.forfeited ? 1 : -1;
+    if (a.forfeited) {
+      return (
+        room.forfeited.indexOf(b.playerId) - room.forfeited.indexOf(a.playerId)
+      );
+    }
+    return b.score - a.score;
+  });
+
+  standings.forEach((s, i) => {
+    const prev = standings[i - 1];
+    const tied =
+      prev && !s.forfeited && !prev.forfeited && prev.score === s.score;
+    s.rank = tied ? prev.rank : i + 1;
+  });
+
+  return standings;
+}
+
+/**
+ * Rating changes for any number of players, built from every pairwise
+ * result: each pair is rated like a 1v1 (or a forfeit if one of them left)
+ * and a player's total is averaged over the opponents they were actually
+ * rated against (forfeit-vs-forfeit pairs don't count), so an 8-player
+ * room moves ratings about as far as a single duel. With two players this
+ * is exactly calculateRatingChanges / calculateForfeitRatingChanges.
+ * @returns {Object} { [playerId]: delta }
+ */
+function calculateMultiplayerRatingChanges(
+  standings,
+  playersById,
+  difficulty,
+  config = GAME_CONFIG
+) {
+  const totals = {};
+  const pairsRated = {};
+  standings.forEach((s) => {
+    totals[s.playerId] = 0;
+    pairsRated[s.playerId] = 0;
+  });
+
+  for (let i = 0; i < standings.length; i++) {
+    for (let j = i + 1; j < standings.length; j++) {
+      const a = standings[i];
+      const b = standings[j];
+      // Two players who both left don't rate against each other
+      if (a.forfeited && b.forfeited) continue;
+      pairsRated[a.playerId]++;
+      pairsRated[b.playerId]++;
+
+      if (a.forfeited || b.forfeited) {
+        const [w, l] = a.forfeited ? [b, a] : [a, b];
+        const { deltaWinner, deltaLoser } = calculateForfeitRatingChanges(
+          playersById[w.playerId],
+          playersById[l.playerId],
+          difficulty,
+          config
+        );
+        totals[w.playerId] += deltaWinner;
+        totals[l.playerId] += deltaLoser;
+      } else {
+        const { deltaA, deltaB } = calculateRatingChanges(
+          playersById[a.playerId],
+          playersById[b.playerId],
+          a.score,
+          b.score,
+          difficulty,
+          config
+        );
+        totals[a.playerId] += deltaA;
+        totals[b.playerId] += deltaB;
+      }
+    }
+  }
+
+  Object.keys(totals).forEach((id) => {
+    totals[id] = Math.round(totals[id] / Math.max(1, pairsRated[id]));
+  });
+  return totals;
+}
+
+/**
+ * Glicko-2 counterpart of calculateMultiplayerRatingChanges (RATING_SYSTEM=glicko2).
+ * The match is one rating period: each player is rated against every
+ * opponent's pre-match state with the same pairwise results (forfeits are
+ * losses, two forfeits don't count). No performance bonus and no clamp;
+ * the deviation already controls how far a rating moves.
+ * Players without Glicko-2 state start from their current rating. So do
+ * players whose pr.pvp rating moved while the deployment ran Elo: they keep
+ * their deviation and volatility but the Elo rating wins.
+ * @returns {Object} { [playerId]: new Glicko-2 state }
+ */
+function calculateGlickoRatings(
+  standings,
+  playersById,
+  difficulty,
+  config = GAME_CONFIG
+) {
+  const now = Date.now();
+  const states = {};
+  standings.forEach((s) => {
+    const player = playersById[s.playerId];
+    const current = player.pr.pvp[difficulty];
+    const stored = player.pr.pvp.glicko?.[difficulty];
+    if (stored?.rating === undefined) {
+      states[s.playerId] = glicko2.initialState(current);
+      return;
+    }
+    const mirrored = Math.max(config.MIN_RATING, Math.round(stored.rating));
+    states[s.playerId] = {
+      rating: mirrored === current ? stored.rating : current,
+      rd: stored.rd,
+      volatility: stored.volatility,
+      lastPlayedAt: stored.lastPlayedAt,
+    };
+  });
+
+  const results = {};
+  standings.forEach((s) => (results[s.playerId] = []));
+  for (let i = 0; i < standings.length; i++) {
+    for (let j = i + 1; j < standings.length; j++) {
+      const a = standings[i];
+      const b = standings[j];
+      if (a.forfeited && b.forfeited) continue;
+
+      let scoreA = 0.5;
+      if (a.forfeited || b.forfeited) scoreA = a.forfeited ? 0 : 1;
+      else if (a.score !== b.score) scoreA = a.score > b.score ? 1 : 0;
+
+      results[a.playerId].push({ opponent: states[b.playerId], score: scoreA });
+      results[b.playerId].push({ opponent: states[a.playerId], score: 1 - scoreA });
+    }
+  }
+
+  return Object.fromEntries(
+    standings.map((s) => [
+      s.playerId,
+      glicko2.rate(states[s.playerId], results[s.playerId], now),
+    ])
+  );
+}
+
 /**
  * Ends the match with improved rating calculation and cleanup
+ * "abandoned" (nobody left connected) changes no ratings
  */
 async function endMatch(nsp, roomId, reason = "completed") {
   const room = rooms[roomId];
-  if (!room) return;
+  if (!room || room.ending) return;
+  room.ending = true;
 
   try {
-    const [p1, p2] = room.players;
-    const score1 = room.scores[p1] || 0;
-    const score2 = room.scores[p2] || 0;
+    const standings = rankPlayers(room);
 
-    // Determine winner
+    // Determine winner: a sole first place; shared first place is a draw
     let winner = null;
-    if (score1 > score2) winner = p1;
-    else if (score2 > score1) winner = p2;
-    // else it's a draw
+    const leaders = standings.filter((s) => s.rank === 1 && !s.forfeited);
+    if (reason !== "abandoned" && leaders.length === 1) {
+      winner = leaders[0].playerId;
+    }
 
     // Get player data
-    const [playerA, playerB] = await Promise.all([
-      Player.findById(p1),
-      Player.findById(p2),
-    ]);
+    const players = await Promise.all(
+      room.players.map((id) => Player.findById(id))
+    );
 
-    if (!playerA || !playerB) {
+    if (players.some((p) => !p)) {
       console.error("Players not found during match end");
       cleanupRoom(roomId, "player_not_found");
       return;
     }
 
-    // Initialize PR if not exists
-    if (!playerA.pr) playerA.pr = { practice: {}, pvp: {} };
-    if (!playerB.pr) playerB.pr = { practice: {}, pvp: {} };
-    if (!playerA.pr.pvp) playerA.pr.pvp = {};
-    if (!playerB.pr.pvp) playerB.pr.pvp = {};
-
     const difficulty = room.difficulty;
-    playerA.pr.pvp[difficulty] =
-      playerA.pr.pvp[difficulty] || GAME_CONFIG.BASE_RATING;
-    playerB.pr.pvp[difficulty] =
-      playerB.pr.pvp[difficulty] || GAME_CONFIG.BASE_RATING;
-
-    // Calculate rating changes
-    const { deltaA, deltaB } = calculateRatingChanges(
-      playerA,
-      playerB,
-      score1,
-      score2,
-      difficulty
-    );
-
-    // Apply rating changes
-    const newRatingA = Math.max(
-      GAME_CONFIG.MIN_RATING,
-      playerA.pr.pvp[difficulty] + deltaA
-    );
-    const newRatingB = Math.max(
-      GAME_CONFIG.MIN_RATING,
-      playerB.pr.pvp[difficulty] + deltaB
-    );
+    const config = roomConfig(room);
+    const playersById = {};
+    players.forEach((player) => {
+      // Initialize PR if not exists
+      if (!player.pr) player.pr = { practice: {}, pvp: {} };
+      if (!player.pr.pvp) player.pr.pvp = {};
+      player.pr.pvp[difficulty] =
+        player.pr.pvp[difficulty] || config.BASE_RATING;
+      playersById[String(player._id)] = player;
+    });
 
-    playerA.pr.pvp[difficulty] = newRatingA;
-    playerB.pr.pvp[difficulty] = newRatingB;
+    // Calculate and apply rating changes
+    const ratingSystem =
+      glicko2.RATING_SYSTEM === "glicko2" ? "glicko2" : "elo";
+    const useGlicko = ratingSystem === "glicko2" && reason !== "abandoned";
+    let results;
+    if (useGlicko) {
+      const states = calculateGlickoRatings(
+        standings,
+        playersById,
+        difficulty,
+        config
+      );
+      results = standings.map((s) => {
+        const player = playersById[s.playerId];
+        const state = states[s.playerId];
+        const before = player.pr.pvp[difficulty];
+        // pr.pvp keeps the rounded rating so leaderboards and matchmaking work unchanged
+        const after = Math.max(config.MIN_RATING, Math.round(state.rating));
+        player.pr.pvp.glicko[difficulty] = state;
+        player.pr.pvp[difficulty] = after;
+        return { ...s, player, before, after, delta: after - before, rd: state.rd };
+      });
+    } else {
+      const deltas =
+        reason === "abandoned"
+          ? Object.fromEntries(room.players.map((id) => [id, 0]))
+          : calculateMultiplayerRatingChanges(
+              standings,
+              playersById,
+              difficulty,
+              config
+            );
+
+      results = standings.map((s) => {
+        const player = playersById[s.playerId];
+        const before = player.pr.pvp[difficulty];
+        const after = Math.max(
+          config.MIN_RATING,
+          before + deltas[s.playerId]
+        );
+        player.pr.pvp[difficulty] = after;
+        return { ...s, player, before, after, delta: deltas[s.playerId] };
+      });
+    }
 
     // Save to database
-    await Promise.all([playerA.save(), playerB.save()]);
+    await Promise.all(players.map((p) => p.save()));
+
+    const matchDuration = room.startTime ? Date.now() - room.startTime : 0;
+    const match = await saveMatchHistory(roomId, room, {
+      reason,
+      winner,
+      duration: matchDuration,
+      players: results,
+      ratingSystem,
+    });
+
+    if (reason !== "abandoned") {
+      await RatingHistory.record(
+        results.map((r) => ({
+          player: r.player._id,
+          mode: "pvp",
+          difficulty,
+          oldRating: r.before,
+          newRating: r.after,
+          sourceType: "match",
+          sourceId: match ? match._id : null,
+          ratingSystem,
+        }))
+      ).catch((error) => console.error("Error recording rating history:", error));
+    }
 
     // Emit match results
     nsp.emit("matchEnded", {
+      matchId: match ? match._id : null,
       reason,
       scores: room.scores,
       winner,
-      ratingDeltas: { [p1]: deltaA, [p2]: deltaB },
-      newRatings: { [p1]: newRatingA, [p2]: newRatingB },
-      matchDuration: room.startTime ? Date.now() - room.startTime : 0,
+      rankings: results.map(({ playerId, score, rank, forfeited }) => ({
+        playerId,
+        score,
+        rank,
+        forfeited,
+      })),
+      forfeited: room.forfeited,
+      ratingDeltas: Object.fromEntries(
+        results.map((r) => [r.playerId, r.delta])
+      ),
+      newRatings: Object.fromEntries(results.map((r) => [r.playerId, r.after])),
+      ...(useGlicko && {
+        ratingDeviations: Object.fromEntries(
+          results.map((r) => [r.playerId, Math.round(r.rd)])
+        ),
+      }),
+      matchDuration,
     });
 
     // Cleanup
@@ -413,14 +1648,164 @@ async function endMatch(nsp, roomId, reason = "completed") {
   }
 }
 
-function handlePlayerDisconnect(nsp, roomId, socketId) {
+/**
+ * Persist a finished match; failures are logged so the match still ends
+ * @returns {Promise<Object|null>} Saved Match document
+ */
+async function saveMatchHistory(
+  roomId,
+  room,
+  { reason, winner, duration, players, ratingSystem }
+) {
+  try {
+    return await Match.create({
+      roomId,
+      difficulty: room.difficulty,
+      players: players.map(
+        ({ player, score, rank, forfeited, before, after, delta, rd }) => ({
+          player: player._id,
+          username: player.username,
+          score,
+          rank,
+          forfeited,
+          ratingBefore: before,
+          ratingAfter: after,
+          ratingDelta: delta,
+          deviationAfter: rd,
+        })
+      ),
+      rounds: room.rounds,
+      winner,
+      endReason: reason,
+      ratingSystem,
+      startedAt: room.startTime ? new Date(room.startTime) : null,
+      endedAt: new Date(),
+      durationMs: duration,
+    });
+  } catch (error) {
+    console.error("Error saving match history:", error);
+    return null;
+  }
+}
+
+/**
+ * A dropped player gets RECONNECT_GRACE to rejoin before forfeiting.
+ * Before the match starts there is nothing to forfeit; the room timeout
+ * cleans up if they never come back.
+ */
+function handlePlayerDisconnect(nsp, roomId, playerId, socketId) {
+  const room = rooms[roomId];
+  if (!room) return;
+
+  // A newer socket already took over for this player
+  if (room.connected[playerId] !== socketId) return;
+  delete room.connected[playerId];
+
+  if (room.lobby && !room.initialized) {
+    nsp.emit("lobbyUpdated", getLobbyState(room));
+    return;
+  }
+
+  if (!room.initialized || room.ending) return;
+
+  const { RECONNECT_GRACE } = roomConfig(room);
+  reconnectTimeouts[roomId] = reconnectTimeouts[roomId] || {};
+  reconnectTimeouts[roomId][playerId] = setTimeout(() => {
+    delete reconnectTimeouts[roomId][playerId];
+    handleForfeit(nsp, roomId, playerId);
+  }, RECONNECT_GRACE);
+
+  nsp.emit("playerDisconnected", {
+    playerId,
+    graceSeconds: RECONNECT_GRACE / 1000,
+  });
+}
+
+/**
+ * Grace window ran out. The player is out of the match and ranked last;
+ * the match goes on while at least two players remain.
+ */
+function handleForfeit(nsp, roomId, playerId) {
+  const room = rooms[roomId];
+  if (!room || room.ending) return;
+
+  room.forfeited.push(playerId);
+  const remaining = activePlayers(room);
+
+  if (!remaining.some((id) => room.connected[id])) {
+    endMatch(nsp, roomId, "abandoned");
+    return;
+  }
+  if (remaining.length < roomConfig(room).MIN_PLAYERS) {
+    endMatch(nsp, roomId, "forfeit");
+    return;
+  }
+
+  nsp.emit("playerForfeited", { playerId, remaining });
+  // They may have been the only one the round was waiting on
+  checkRoundComplete(nsp, roomId);
+}
+
+/**
+ * Cancel a pending forfeit and bring the player back up to date
+ */
+function handlePlayerReconnect(nsp, roomId, playerId, socket) {
   const room = rooms[roomId];
   if (!room) return;
 
-  // If match hasn't started yet or is in progress, end it due to disconnect
-  if (room.questionCount < GAME_CONFIG.QUESTIONS_PER_MATCH) {
-    endMatch(nsp, roomId, "player_disconnect");
+  const pending = reconnectTimeouts[roomId]?.[playerId];
+  if (pending) {
+    clearTimeout(pending);
+    delete reconnectTimeouts[roomId][playerId];
+    socket.broadcast.emit("playerReconnected", { playerId });
   }
+
+  socket.emit("matchResumed", {
+    ...getMatchState(room),
+    answered: Boolean(room.responses[playerId]),
+  });
+}
+
+/**
+ * Snapshot of a running match for late joiners (reconnects, spectators)
+ */
+function getMatchState(room) {
+  const elapsed = room.questionSentAt ? Date.now() - room.questionSentAt : 0;
+  return {
+    difficulty: room.difficulty,
+    players: room.playerNames,
+    scores: room.scores,
+    level: room.level,
+    question: room.currentQuestion
+      ? { ...room.currentQuestion, answer: undefined }
+      : null,
+    questionNumber: room.questionCount + 1,
+    totalQuestions: room.settings.questionsPerMatch,
+    timeLeft: Math.max(0, (room.settings.roundTimeout - elapsed) / 1000),
+    spectatorCount: room.spectators.size,
+  };
+}
+
+/**
+ * Spectators receive every broadcast but have no submitAnswer handler,
+ * so nothing they send can affect the match
+ */
+function handleSpectatorConnect(nsp, roomId, socket) {
+  const room = rooms[roomId];
+  socket.join(roomId);
+  room.spectators.add(socket.id);
+
+  if (room.initialized) {
+    socket.emit("matchState", getMatchState(room));
+  }
+  nsp.emit("spectatorCount", { count: room.spectators.size });
+
+  socket.on("disconnect", () => {
+    const current = rooms[roomId];
+    if (!current) return;
+    current.spectators.delete(socket.id);
+    nsp.emit("spectatorCount", { count: current.spectators.size });
+  });
 }
 
 function cleanupRoom(roomId, reason) {
@@ -431,11 +1816,49 @@ function cleanupRoom(roomId, reason) {
     clearTimeout(roomTimeouts[roomId]);
     delete roomTimeouts[roomId];
   }
+  clearRoundTimeout(roomId);
+  const code = rooms[roomId]?.lobby?.code;
+  if (code) delete lobbyCodes[code];
+  if (reconnectTimeouts[roomId]) {
+    Object.values(reconnectTimeouts[roomId]).forEach(clearTimeout);
+    delete reconnectTimeouts[roomId];
+  }
 
   // Remove room
   delete rooms[roomId];
 }
 
+/**
+ * GET /api/match/live
+ * Public matches in progress that can be watched with
+ * { auth: { token, spectate: true } }; private lobby matches aren't listed
+ */
+exports.getLiveMatches = (req, res) => {
+  const liveMatches = Object.keys(rooms)
+    .filter(
+      (roomId) =>
+        rooms[roomId].initialized &&
+        !rooms[roomId].ending &&
+        !rooms[roomId].lobby
+    )
+    .map((roomId) => {
+      const room = rooms[roomId];
+      return {
+        roomId,
+        namespace: `/match/${roomId}`,
+        players: room.playerNames,
+        scores: room.scores,
+        difficulty: room.difficulty,
+        questionNumber: room.questionCount + 1,
+        totalQuestions: room.settings.questionsPerMatch,
+        spectatorCount: room.spectators.size,
+        startedAt: room.startTime,
+      };
+    });
+
+  res.json({ liveMatches, count: liveMatches.length });
+};
+
 // Utility function to get active rooms (for debugging)
 exports.getActiveRooms = (req, res) => {
   const activeRooms = Object.keys(rooms).map((roomId) => ({
@@ -450,6 +1873,20 @@ exports.getActiveRooms = (req, res) => {
 
 module.exports = {
   createChallenge: exports.createChallenge,
+  acceptChallenge: exports.acceptChallenge,
+  declineChallenge: exports.declineChallenge,
+  cancelChallenge: exports.cancelChallenge,
+  listChallenges: exports.listChallenges,
+  createLobby: exports.createLobby,
+  joinLobby: exports.joinLobby,
+  updateLobby: exports.updateLobby,
+  startLobby: exports.startLobby,
+  leaveLobby: exports.leaveLobby,
+  kickFromLobby: exports.kickFromLobby,
   getActiveRooms: exports.getActiveRooms,
+  getLiveMatches: exports.getLiveMatches,
   setupSocketForRoom,
+  createRoom,
+  isPlayerInRoom,
+  notifyPlayer,
 };
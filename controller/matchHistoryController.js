@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+const Match = require("../models/Match");
+
+const HISTORY_PAGE_SIZE = 20;
+const HISTORY_MAX_PAGE_SIZE = 100;
+
+/**
+ * GET /api/match/history
+ * Query: { page = 1, limit = 20 }
+ * Returns the signed-in player's finished matches, newest first, without rounds
+ */
+exports.getMatchHistory = async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(
+    HISTORY_MAX_PAGE_SIZE,
+    Math.max(1, parseInt(req.query.limit, 10) || HISTORY_PAGE_SIZE)
+  );
+  const filter = { "players.player": req.user._id };
+
+  try {
+    const [matches, total] = await Promise.all([
+      Match.find(filter)
+        .sort({ endedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select("-rounds"),
+      Match.countDocuments(filter),
+    ]);
+
+    return res.json({
+      matches,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    });
+  } catch (err) {
+    console.error("Error fetching match history:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * GET /api/match/history/:matchId
+ * Full record of one match, including every round; participants only
+ */
+exports.getMatchDetails = async (req, res) => {
+  const { matchId } = req.params;
+  if (!mongoose.isValidObjectId(matchId)) {
+    return res.status(400).json({ message: "Invalid match id" });
+  }
+
+  try {
+    const match = await Match.findOne({
+      _id: matchId,
+      "players.player": req.user._id,
+    });
+    if (!match) {
+      return res.status(404).json({ message: "Match not found" });
+    }
+
+    return res.json({ match });
+  } catch (err) {
+    console.error("Error fetching match:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
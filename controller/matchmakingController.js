@@ -0,0 +1,303 @@
+/*
+Matchmaking queue for PvP: players wait per difficulty and are paired
+by closeness of pr.pvp[difficulty]; the allowed gap widens while they wait
+*/
+const Player = require("../models/Player");
+const {
+  createRoom,
+  isPlayerInRoom,
+  notifyPlayer,
+} = require("./matchController");
+
+// In-memory queues, one per difficulty, ordered by join time
+const queues = { easy: [], medium: [], hard: [] };
+// Last pairing per player, kept briefly so REST clients can poll for it
+const recentMatches = {};
+
+let sweepTimer = null;
+
+const MATCHMAKING_CONFIG = {
+  INITIAL_RATING_GAP: 50,
+  GAP_GROWTH_PER_SECOND: 10,
+  MAX_RATING_GAP: 500,
+  QUEUE_TIMEOUT: 120000, // 2 minutes
+  SWEEP_INTERVAL: 2000,
+  MATCH_NOTICE_TTL: 60000, // how long a pairing stays visible to polling
+  BASE_RATING: 1000,
+};
+
+/**
+ * Allowed rating gap for a queue entry, widening with time waited
+ * @param {Object} entry - Queue entry
+ * @param {number} now - Current timestamp
+ * @returns {number}
+ */
+function allowedGap(entry, now = Date.now()) {
+  const waitedSeconds = (now - entry.joinedAt) / 1000;
+  return Math.min(
+    MATCHMAKING_CONFIG.MAX_RATING_GAP,
+    MATCHMAKING_CONFIG.INITIAL_RATING_GAP +
+      waitedSeconds * MATCHMAKING_CONFIG.GAP_GROWTH_PER_SECOND
+  );
+}
+
+function findQueueEntry(playerId) {
+  for (const difficulty of Object.keys(queues)) {
+    const entry = queues[difficulty].find((e) => e.playerId === playerId);
+    if (entry) return entry;
+  }
+  return null;
+}
+
+function removeFromQueue(playerId) {
+  const entry = findQueueEntry(playerId);
+  if (!entry) return null;
+  const queue = queues[entry.difficulty];
+  queue.splice(queue.indexOf(entry), 1);
+  return entry;
+}
+
+/**
+ * Pair players in one difficulty queue.
+ * Oldest entries pick first; each takes the closest-rated opponent whose
+ * rating is within the wider of the two players' allowed gaps.
+ */
+function pairQueue(io, difficulty) {
+  // anyone who got into a room some other way since queueing isn't waiting anymore
+  queues[difficulty] = queues[difficulty].filter(
+    (entry) => !isPlayerInRoom(entry.playerId)
+  );
+  const queue = queues[difficulty];
+  const now = Date.now();
+  let i = 0;
+
+  while (i < queue.length) {
+    const entry = queue[i];
+    let best = null;
+    let bestDiff = Infinity;
+
+    for (let j = i + 1; j < queue.length; j++) {
+      const other = queue[j];
+      const diff = Math.abs(entry.rating - other.rating);
+      const gap = Math.max(allowedGap(entry, now), allowedGap(other, now));
+      if (diff <= gap && diff < bestDiff) {
+        best = other;
+        bestDiff = diff;
+      }
+    }
+
+    if (!best) {
+      i++;
+      continue;
+    }
+
+    queue.splice(queue.indexOf(best), 1);
+    queue.splice(i, 1);
+    startMatch(io, difficulty, entry, best);
+  }
+}
+
+function startMatch(io, difficulty, a, b) {
+  const roomId = createRoom(
+    io,
+    [
+      { _id: a.playerId, username: a.username },
+      { _id: b.playerId, username: b.username },
+    ],
+    difficulty
+  );
+  console.log(
+    `Matchmaking paired ${a.username} (${a.rating}) with ${b.username} (${b.rating}) in ${roomId}`
+  );
+
+  [
+    [a, b],
+    [b, a],
+  ].forEach(([self, opponent]) => {
+    const notice = {
+      roomId,
+      difficulty,
+      opponent: {
+        id: opponent.playerId,
+        username: opponent.username,
+        rating: opponent.rating,
+      },
+      matchedAt: Date.now(),
+    };
+    recentMatches[self.playerId] = notice;
+    notifyPlayer(io, self.playerId, "matchFound", notice);
+  });
+}
+
+/**
+ * Periodic pass: drop entries that waited too long, then retry pairing
+ * with the now-wider gaps. Stops itself once every queue is empty.
+ */
+function sweep(io) {
+  const now = Date.now();
+
+  Object.keys(queues).forEach((difficulty) => {
+    queues[difficulty] = queues[difficulty].filter((entry) => {
+      if (now - entry.joinedAt < MATCHMAKING_CONFIG.QUEUE_TIMEOUT) return true;
+      notifyPlayer(io, entry.playerId, "queueTimeout", { difficulty });
+      return false;
+    });
+    pairQueue(io, difficulty);
+  });
+
+  Object.keys(recentMatches).forEach((playerId) => {
+    if (now - recentMatches[playerId].matchedAt > MATCHMAKING_CONFIG.MATCH_NOTICE_TTL) {
+      delete recentMatches[playerId];
+    }
+  });
+
+  const queued = Object.values(queues).some((q) => q.length > 0);
+  if (!queued && sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+}
+
+function ensureSweeping(io) {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(() => sweep(io), MATCHMAKING_CONFIG.SWEEP_INTERVAL);
+}
+
+/**
+ * Add a player to a difficulty queue and try to pair immediately
+ * @returns {Object} { status, body } ready to send back to the caller
+ */
+async function enqueue(io, playerId, difficulty, socketId = null) {
+  if (!["easy", "medium", "hard"].includes(difficulty)) {
+    return { status: 400, body: { message: "Invalid difficulty level" } };
+  }
+
+  playerId = String(playerId);
+  const player = await Player.findById(playerId).select("username pr");
+  if (!player) {
+    return { status: 404, body: { message: "Player not found" } };
+  }
+
+  // Checked after the lookup so two quick joins can't both get in
+  if (findQueueEntry(playerId)) {
+    return { status: 409, body: { message: "Already in matchmaking queue" } };
+  }
+  if (isPlayerInRoom(playerId)) {
+    return { status: 409, body: { message: "Already in a match" } };
+  }
+
+  const entry = {
+    playerId,
+    username: player.username,
+    difficulty,
+    rating: player.pr?.pvp?.[difficulty] || MATCHMAKING_CONFIG.BASE_RATING,
+    joinedAt: Date.now(),
+    socketId,
+  };
+  delete recentMatches[playerId];
+  queues[difficulty].push(entry);
+
+  pairQueue(io, difficulty);
+  ensureSweeping(io);
+
+  return { status: 200, body: queueStatus(playerId) };
+}
+
+/**
+ * Current matchmaking state for a player
+ */
+function queueStatus(playerId) {
+  playerId = String(playerId);
+  const entry = findQueueEntry(playerId);
+  if (entry) {
+    return {
+      status: "queued",
+      difficulty: entry.difficulty,
+      rating: entry.rating,
+      waitedMs: Date.now() - entry.joinedAt,
+      allowedGap: Math.round(allowedGap(entry)),
+      queueSize: queues[entry.difficulty].length,
+    };
+  }
+  if (recentMatches[playerId]) {
+    return { status: "matched", ...recentMatches[playerId] };
+  }
+  return { status: "idle" };
+}
+
+/**
+ * POST /api/match/queue
+ * Body: { difficulty }
+ * Returns the queue status, or { status: 'matched', roomId, ... } if paired right away
+ */
+exports.joinQueue = async (req, res) => {
+  try {
+    const io = req.app.get("io");
+    const { difficulty = "medium" } = req.body;
+    const result = await enqueue(io, req.user._id, difficulty);
+    return res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error("Error joining matchmaking queue:", error);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * DELETE /api/match/queue
+ * Leaves the matchmaking queue
+ */
+exports.leaveQueue = (req, res) => {
+  const entry = removeFromQueue(String(req.user._id));
+  if (!entry) {
+    return res.status(404).json({ message: "Not in matchmaking queue" });
+  }
+  return res.json({ message: "Left matchmaking queue", difficulty: entry.difficulty });
+};
+
+/**
+ * GET /api/match/queue
+ * Returns { status: 'idle' | 'queued' | 'matched', ... }
+ */
+exports.getQueueStatus = (req, res) => {
+  return res.json(queueStatus(req.user._id));
+};
+
+/**
+ * Bind queue events for an authenticated socket on the default namespace
+ * Events: joinQueue({ difficulty }, ack), leaveQueue(ack), queueStatus(ack)
+ */
+function registerSocketHandlers(io, socket) {
+  const playerId = String(socket.data.player._id);
+  const reply = (ack, payload) => typeof ack === "function" && ack(payload);
+
+  socket.on("joinQueue", async ({ difficulty = "medium" } = {}, ack) => {
+    try {
+      const result = await enqueue(io, playerId, difficulty, socket.id);
+      reply(ack, result.status === 200 ? result.body : { error: result.body.message });
+    } catch (error) {
+      console.error("Error joining matchmaking queue:", error);
+      reply(ack, { error: "Server error" });
+    }
+  });
+
+  socket.on("leaveQueue", (ack) => {
+    const entry = removeFromQueue(playerId);
+    reply(ack, entry ? { status: "idle" } : { error: "Not in matchmaking queue" });
+  });
+
+  socket.on("queueStatus", (ack) => reply(ack, queueStatus(playerId)));
+
+  // A socket-joined entry shouldn't outlive its socket
+  socket.on("disconnect", () => {
+    const entry = findQueueEntry(playerId);
+    if (entry && entry.socketId === socket.id) removeFromQueue(playerId);
+  });
+}
+
+module.exports = {
+  joinQueue: exports.joinQueue,
+  leaveQueue: exports.leaveQueue,
+  getQueueStatus: exports.getQueueStatus,
+  registerSocketHandlers,
+  removeFromQueue,
+};
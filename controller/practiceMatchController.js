@@ -1,60 +1,179 @@
+const mongoose = require("mongoose");
 const Player = require("../models/Player");
+const PracticeSession = require("../models/PracticeSession");
+const PracticeProgress = require("../models/PracticeProgress");
+const RatingHistory = require("../models/RatingHistory");
+const { FORMATS, isRatedFormat } = require("../questionFormats");
+const {
+  getInitialQM,
+  practiceRating,
+  sessionRules,
+  progressRuleSet,
+} = require("./questionController");
+const { getRuleSet, ruleSetFor, canUseRuleSet } = require("../rules");
 
 // Practice session logic (unchanged but with better error handling)
-function calculatePracticePoints({
-  correctCount,
-  skippedCount,
-  incorrectCount,
-}) {
+function calculatePracticePoints(
+  { correctCount, skippedCount, incorrectCount },
+  rules = getRuleSet()
+) {
+  const { min, max, noIncorrectBonus, noSkippedBonus } =
+    rules.practice.sessionPoints;
+  // nothing graded, nothing earned: an empty or all-skipped session gets no bonus
+  if (correctCount + incorrectCount === 0) return 0;
   let pointsA = correctCount - incorrectCount;
-  pointsA = Math.max(-10, Math.min(10, pointsA));
-  const bonus = (incorrectCount === 0 ? 1 : 0) + (skippedCount === 0 ? 1 : 0);
+  pointsA = Math.max(min, Math.min(max, pointsA));
+  const bonus =
+    (incorrectCount === 0 ? noIncorrectBonus : 0) +
+    (skippedCount === 0 ? noSkippedBonus : 0);
   return pointsA + bonus;
 }
 
 /**
- * POST /api/practice/end
- * Body: { playerId, difficulty, correctCount, incorrectCount, skippedCount }
+ * POST /api/practice/start
+ * Opens a server-side practice session for the signed-in player
+ * Body: { difficulty, ruleSet, format }
+ * ruleSet is optional and defaults to the one an admin assigned the player
+ * (or the deployment's default); other sets are for admins only.
+ * format is fixed for the whole session; omitted means each question's own.
+ * Sessions in a guessable format (multiple_choice, true_false) are unrated.
+ * Returns: { sessionId, difficulty, ruleSet, format, rated, rating, progress: { qm, streak, currentScore } }
+ * progress is the stored state the previous run left off at
  */
-exports.endPracticeSession = async (req, res) => {
-  const { difficulty, correctCount, incorrectCount, skippedCount } = req.body;
-
+exports.startPracticeSession = async (req, res) => {
+  const {
+    difficulty,
+    ruleSet = ruleSetFor(req.user),
+    format = null,
+  } = req.body;
   const playerId = req.user._id;
-  console.log(playerId);
 
-  if (!playerId || !["easy", "medium", "hard"].includes(difficulty)) {
+  if (!["easy", "medium", "hard"].includes(difficulty)) {
     return res.status(400).json({ message: "Missing or invalid fields" });
   }
-
-  if (
-    typeof correctCount !== "number" ||
-    typeof incorrectCount !== "number" ||
-    typeof skippedCount !== "number"
-  ) {
-    return res.status(400).json({ message: "Count fields must be numbers" });
+  if (format !== null && !FORMATS.includes(format)) {
+    return res.status(400).json({
+      message: `format must be one of: ${FORMATS.join(", ")}`,
+    });
+  }
+  const rules = getRuleSet(ruleSet);
+  if (!rules) {
+    return res.status(400).json({ message: `Unknown rule set: ${ruleSet}` });
+  }
+  if (!canUseRuleSet(req.user, ruleSet)) {
+    return res
+      .status(403)
+      .json({ message: `Rule set "${ruleSet}" has not been assigned to you` });
   }
 
   try {
-    const player = await Player.findById(playerId);
-    if (!player) return res.status(404).json({ message: "Player not found" });
+    const rating = practiceRating(req.user, difficulty);
+    const [session, progress] = await Promise.all([
+      PracticeSession.create({ player: playerId, difficulty, ruleSet, format }),
+      PracticeProgress.forPlayer(
+        playerId,
+        difficulty,
+        getInitialQM(rating, difficulty, rules),
+        progressRuleSet({ ruleSet })
+      ),
+    ]);
 
-    // Initialize PR if not exists
-    if (!player.pr) player.pr = { practice: {}, pvp: {} };
-    if (!player.pr.practice) player.pr.practice = {};
+    return res.status(201).json({
+      message: "Practice session started",
+      sessionId: session._id,
+      difficulty,
+      ruleSet,
+      format,
+      rated: isRatedFormat(format),
+      rating,
+      progress: progress.toState(),
+    });
+  } catch (err) {
+    console.error("Error starting practice session:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
 
-    const points = calculatePracticePoints({
-      correctCount,
-      skippedCount,
-      incorrectCount,
+/**
+ * POST /api/practice/endMatch
+ * Body: { sessionId }
+ * Rating change is computed from the answers graded during the session
+ */
+exports.endPracticeSession = async (req, res) => {
+  const { sessionId } = req.body;
+  const playerId = req.user._id;
+
+  if (!sessionId || !mongoose.isValidObjectId(sessionId)) {
+    return res.status(400).json({ message: "Valid sessionId is required" });
+  }
+
+  try {
+    const session = await PracticeSession.findOne({
+      _id: sessionId,
+      player: playerId,
     });
-    const currentRating = player.pr.practice[difficulty];
-    const newRating = currentRating + points;
+    if (!session) {
+      return res.status(404).json({ message: "Practice session not found" });
+    }
+    if (session.status !== "active") {
+      return res.status(409).json({ message: "Practice session already ended" });
+    }
+
+    const difficulty = session.difficulty;
+    const counts = session.tally();
+    // only answers in rated formats move the rating (see questionFormats);
+    // a session with no graded rated answer, e.g. all true_false, settles at 0
+    const points = calculatePracticePoints(
+      session.tally({ ratedOnly: true }),
+      sessionRules(session)
+    );
+
+    // Close the session first so it can't be settled twice
+    const closed = await PracticeSession.findOneAndUpdate(
+      { _id: session._id, status: "active" },
+      {
+        $set: {
+          status: "ended",
+          ...counts,
+          pointsEarned: points,
+          endedAt: new Date(),
+        },
+      }
+    );
+    if (!closed) {
+      return res.status(409).json({ message: "Practice session already ended" });
+    }
 
-    player.pr.practice[difficulty] = newRating;
-    await player.save();
+    // $inc so sessions ended at the same time don't overwrite each other
+    const field = `pr.practice.${difficulty}`;
+    const player = await Player.findByIdAndUpdate(
+      playerId,
+      { $inc: { [field]: points } },
+      { new: true, projection: { [field]: 1 } }
+    );
+    if (!player) return res.status(404).json({ message: "Player not found" });
+
+    const newRating = player.pr.practice[difficulty];
+    const currentRating = newRating - points;
+    await PracticeSession.updateOne(
+      { _id: session._id },
+      { $set: { oldRating: currentRating, newRating } }
+    );
+    await RatingHistory.record([
+      {
+        player: playerId,
+        mode: "practice",
+        difficulty,
+        oldRating: currentRating,
+        newRating,
+        sourceType: "practiceSession",
+        sourceId: session._id,
+      },
+    ]).catch((error) => console.error("Error recording rating history:", error));
 
     return res.json({
       message: "Practice session ended",
+      ...counts,
       pointsEarned: points,
       newRating: newRating,
       oldRating: currentRating,
@@ -64,3 +183,5 @@ exports.endPracticeSession = async (req, res) => {
     return res.status(500).json({ message: "Server error" });
   }
 };
+
+exports.calculatePracticePoints = calculatePracticePoints;
@@ -0,0 +1,201 @@
+const mongoose = require("mongoose");
+const SkillMastery = require("../models/SkillMastery");
+const RatingHistory = require("../models/RatingHistory");
+
+const RATING_MODES = ["practice", "pvp"];
+const DIFFICULTIES = ["easy", "medium", "hard"];
+// Default chart window when no from date is given
+const DEFAULT_RANGE_DAYS = { day: 90, week: 364 };
+
+/**
+ * Per-level skills plus a per-symbol rollup, weakest symbol first
+ */
+async function buildProgress(playerId, query) {
+  const filter = { player: playerId };
+  if (query.symbol) {
+    filter.symbol = { $in: SkillMastery.skillsForSymbol(query.symbol) };
+  }
+
+  const records = await SkillMastery.find(filter).sort({ symbol: 1, finalLevel: 1 });
+  const skills = records.map((record) => record.summary());
+
+  const totals = {};
+  records.forEach((record) => {
+    const t = (totals[record.symbol] = totals[record.symbol] || {
+      symbol: record.symbol,
+      attempts: 0,
+      correct: 0,
+      timedAttempts: 0,
+      totalResponseTimeMs: 0,
+      levelsPracticed: 0,
+    });
+    t.attempts += record.attempts;
+    t.correct += record.correct;
+    t.timedAttempts += record.timedAttempts;
+    t.totalResponseTimeMs += record.totalResponseTimeMs;
+    t.levelsPracticed++;
+  });
+
+  const bySymbol = Object.values(totals)
+    .map((t) => ({
+      symbol: t.symbol,
+      attempts: t.attempts,
+      correct: t.correct,
+      accuracy: t.attempts ? Math.round((t.correct / t.attempts) * 1000) / 1000 : 0,
+      avgResponseTimeMs: t.timedAttempts
+        ? Math.round(t.totalResponseTimeMs / t.timedAttempts)
+        : null,
+      levelsPracticed: t.levelsPracticed,
+    }))
+    .sort((a, b) => a.accuracy - b.accuracy);
+
+  return { bySymbol, skills };
+}
+
+/**
+ * GET /api/progress/me
+ * Query: { symbol } - optional, limits to one operation
+ * Returns mastery per symbol and per symbol/final level
+ */
+exports.getMyProgress = async (req, res) => {
+  try {
+    const progress = await buildProgress(req.user._id, req.query);
+    return res.json({ playerId: req.user._id, ...progress });
+  } catch (error) {
+    console.error("Error fetching progress:", error);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * GET /api/progress/players/:playerId (admin)
+ * Same as /me, for any player
+ */
+exports.getPlayerProgress = async (req, res) => {
+  const { playerId } = req.params;
+  if (!mongoose.isValidObjectId(playerId)) {
+    return res.status(400).json({ message: "Invalid player id" });
+  }
+
+  try {
+    const progress = await buildProgress(playerId, req.query);
+    return res.json({ playerId, ...progress });
+  } catch (error) {
+    console.error("Error fetching progress:", error);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Rating changes bucketed by day or week, one point per bucket with
+ * activity: open (rating before the first change), close (after the last),
+ * high, low and the number of changes
+ * @returns {Promise<Object>} { series } or { error }
+ */
+async function buildRatingSeries(playerId, query) {
+  const { mode = "pvp", difficulty, bucket = "day", tz = "UTC" } = query;
+
+  if (!RATING_MODES.includes(mode) || !DIFFICULTIES.includes(difficulty)) {
+    return {
+      error: "Provide mode=(practice|pvp) and difficulty=(easy|medium|hard)",
+    };
+  }
+  if (!["day", "week"].includes(bucket)) {
+    return { error: "bucket must be day or week" };
+  }
+  try {
+    new Intl.DateTimeFormat("en", { timeZone: tz });
+  } catch (error) {
+    return { error: `Unknown time zone: ${tz}` };
+  }
+
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from
+    ? new Date(query.from)
+    : new Date(to.getTime() - DEFAULT_RANGE_DAYS[bucket] * 24 * 60 * 60 * 1000);
+  if (isNaN(from) || isNaN(to) || from > to) {
+    return { error: "from and to must be dates with from before to" };
+  }
+
+  const rows = await RatingHistory.aggregate([
+    {
+      $match: {
+        player: new mongoose.Types.ObjectId(String(playerId)),
+        mode,
+        difficulty,
+        recordedAt: { $gte: from, $lte: to },
+      },
+    },
+    { $sort: { recordedAt: 1, _id: 1 } },
+    {
+      $group: {
+        _id: {
+          $dateTrunc: {
+            date: "$recordedAt",
+            unit: bucket,
+            timezone: tz,
+            ...(bucket === "week" && { startOfWeek: "monday" }),
+          },
+        },
+        open: { $first: "$oldRating" },
+        close: { $last: "$newRating" },
+        high: { $max: "$newRating" },
+        low: { $min: "$newRating" },
+        changes: { $sum: 1 },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  const points = rows.map((row) => ({
+    start: row._id,
+    open: row.open,
+    close: row.close,
+    high: Math.max(row.high, row.open),
+    low: Math.min(row.low, row.open),
+    change: row.close - row.open,
+    changes: row.changes,
+  }));
+
+  return { series: { mode, difficulty, bucket, tz, from, to, points } };
+}
+
+/**
+ * GET /api/progress/me/ratings
+ * Query: { mode, difficulty, bucket: day | week, from, to, tz }
+ * Rating history as a chart-ready time series
+ */
+exports.getMyRatingHistory = async (req, res) => {
+  try {
+    const result = await buildRatingSeries(req.user._id, req.query);
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+    return res.json({ playerId: req.user._id, ...result.series });
+  } catch (error) {
+    console.error("Error fetching rating history:", error);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * GET /api/progress/players/:playerId/ratings (admin)
+ * Same as /me/ratings, for any player
+ */
+exports.getPlayerRatingHistory = async (req, res) => {
+  const { playerId } = req.params;
+  if (!mongoose.isValidObjectId(playerId)) {
+    return res.status(400).json({ message: "Invalid player id" });
+  }
+
+  try {
+    const result = await buildRatingSeries(playerId, req.query);
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+    return res.json({ playerId, ...result.series });
+  } catch (error) {
+    console.error("Error fetching rating history:", error);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
@@ -1,56 +1,118 @@
-const { loadQuestionsFromExcel } = require("../loadQuestion");
+const mongoose = require("mongoose");
+const { getQuestions, QUESTION_SOURCE } = require("../loadQuestion");
+const { generateQuestion } = require("../questionGenerator");
+const { checkAnswer } = require("../answerChecker");
+const { presentQuestion, isRatedFormat } = require("../questionFormats");
+const { questionIdentity, pickQuestion } = require("../questionSelection");
+const QuestionHistory = require("../models/QuestionHistory");
+const SkillMastery = require("../models/SkillMastery");
+const ReviewItem = require("../models/ReviewItem");
+const PracticeSession = require("../models/PracticeSession");
+const PracticeProgress = require("../models/PracticeProgress");
+const IssuedQuestion = require("../models/IssuedQuestion");
+const { getRuleSet, getDefaultRuleSetName } = require("../rules");
 
 /**
  * Determine the appropriate question level based on player rating and difficulty
  * @param {number} playerRating - Player's current rating
  * @param {string} difficulty - Question difficulty (easy, medium, hard)
+ * @param {Object} [rules] - Rule set, the default one if omitted
  * @returns {number} - Final level for questions
  */
-function determineQuestionLevel(playerRating, difficulty) {
-  if (playerRating < 800) {
-    return 1;
-  } else if (playerRating < 1200) {
-    return 2;
-  } else if (playerRating < 1600) {
-    return difficulty === "easy" ? 2 : 3;
-  } else if (playerRating < 2000) {
-    return difficulty === "hard" ? 4 : 3;
-  } else {
-    if (difficulty === "medium") return 4;
-    if (difficulty === "hard") return 5;
-    return 3;
-  }
+function determineQuestionLevel(playerRating, difficulty, rules = getRuleSet()) {
+  // brackets are ascending and the last one (below: null) catches the rest
+  const bracket = rules.practice.ratingBrackets.find(
+    (b) => b.below === null || playerRating < b.below
+  );
+  return bracket.levels[difficulty];
 }
 
 /**
  * Determine question level based on Question Meter (QM) value
  * @param {number} qm - Question Meter value
+ * @param {Object} [rules] - Rule set, the default one if omitted
  * @returns {number} - Level based on QM range
  */
-function getQuestionLevelFromQM(qm) {
-  // QM ranges based on the provided table
-  const qmRanges = [
-    { level: 1, start: 0, end: 5 },
-    { level: 2, start: 6, end: 9 },
-    { level: 3, start: 10, end: 13 },
-    { level: 4, start: 14, end: 17 },
-    { level: 5, start: 18, end: 21 },
-    { level: 6, start: 22, end: 25 },
-    { level: 7, start: 26, end: 29 },
-    { level: 8, start: 30, end: 33 },
-    { level: 9, start: 34, end: 37 },
-    { level: 10, start: 38, end: 45 },
-  ];
-
+function getQuestionLevelFromQM(qm, rules = getRuleSet()) {
+  const ranges = rules.practice.qmRanges;
   // Find the appropriate level based on QM value
-  for (const range of qmRanges) {
+  for (const range of ranges) {
     if (qm >= range.start && qm <= range.end) {
       return range.level;
     }
   }
 
-  // If QM is outside defined ranges, return level 1 as default
-  return 10;
+  // Past the last range: stay on the top level
+  return ranges[ranges.length - 1].level;
+}
+
+/**
+ * Starting QM for a player's first practice run at a difficulty:
+ * the bottom of the range for the level their rating would give
+ * @param {number} playerRating - Player's current practice rating
+ * @param {string} difficulty - Question difficulty
+ * @param {Object} [rules] - Rule set, the default one if omitted
+ * @returns {number}
+ */
+function getInitialQM(playerRating, difficulty, rules = getRuleSet()) {
+  const level = determineQuestionLevel(playerRating, difficulty, rules);
+  const range = rules.practice.qmRanges.find((r) => r.level === level);
+  return range ? range.start : 0;
+}
+
+/**
+ * Trusted practice rating for a difficulty, from the authenticated player
+ */
+function practiceRating(player, difficulty) {
+  return player.pr?.practice?.[difficulty] ?? getRuleSet().rating.baseRating;
+}
+
+/**
+ * Points a correct answer adds to the current score at a given streak
+ */
+function streakPoints(streak, streakBonus) {
+  if (streak <= streakBonus.baseUpTo) return streakBonus.basePoints;
+  if (streakBonus.milestones[streak] !== undefined) {
+    return streakBonus.milestones[streak];
+  }
+  if (streak % streakBonus.every === 0) return streakBonus.everyPoints;
+  return 0;
+}
+
+/**
+ * Progression after one graded answer
+ * @param {Object} state - { qm, streak, currentScore } before the answer
+ * @param {Object} answer - { correct, playerRating, questionFinalLevel }
+ * @param {Object} [rules] - Rule set, the default one if omitted
+ * @returns {Object} { qm, streak, currentScore, delta }
+ */
+function progressAfterAnswer(
+  state,
+  { correct, playerRating, questionFinalLevel },
+  rules = getRuleSet()
+) {
+  const { scoreTiers, qmDelta, streakBonus } = rules.practice;
+  const newStreak = correct ? state.streak + 1 : 0;
+
+  // Score delta depends on whether the question's final level is within
+  // the threshold for the player's rating tier
+  const tier = scoreTiers.find(
+    (t) => t.maxRating === null || playerRating <= t.maxRating
+  );
+  let delta = qmDelta.incorrect;
+  if (correct) {
+    delta =
+      questionFinalLevel <= tier.levelThreshold
+        ? qmDelta.correctAtOrBelowThreshold
+        : qmDelta.correctAboveThreshold;
+  }
+
+  const nextQM = Math.max(0, state.qm + delta);
+  const newCurrentScore = correct
+    ? state.currentScore + streakPoints(newStreak, streakBonus)
+    : state.currentScore;
+
+  return { qm: nextQM, streak: newStreak, currentScore: newCurrentScore, delta };
 }
 
 /**
@@ -58,18 +120,24 @@ function getQuestionLevelFromQM(qm) {
  * @param {number} playerRating - Player's current rating
  * @param {string} difficulty - Question difficulty
  * @param {number} qm - Question Meter value (optional)
+ * @param {Object} [rules] - Rule set, the default one if omitted
  * @returns {number} - Final level to use for question filtering
  */
-function determineFinalQuestionLevel(playerRating, difficulty, qm = null) {
+function determineFinalQuestionLevel(
+  playerRating,
+  difficulty,
+  qm = null,
+  rules = getRuleSet()
+) {
   // If QM is provided and valid (>= 0), use QM-based level
   if (qm !== null && qm !== undefined && qm >= 0) {
-    const qmLevel = getQuestionLevelFromQM(qm);
+    const qmLevel = getQuestionLevelFromQM(qm, rules);
     console.log(`Using QM-based level: QM=${qm} -> Level=${qmLevel}`);
     return qmLevel;
   }
 
   // Otherwise, use player rating-based determination
-  const ratingLevel = determineQuestionLevel(playerRating, difficulty);
+  const ratingLevel = determineQuestionLevel(playerRating, difficulty, rules);
   console.log(
     `Using rating-based level: Rating=${playerRating}, Difficulty=${difficulty} -> Level=${ratingLevel}`
   );
@@ -77,15 +145,84 @@ function determineFinalQuestionLevel(playerRating, difficulty, qm = null) {
 }
 
 /**
- * Get a question based on difficulty, symbol, player rating, and optional QM
+ * Find an active practice session owned by the given player
+ * @param {string} sessionId - PracticeSession id sent by the client
+ * @param {string} playerId - Authenticated player id
+ * @returns {Promise<Object|null>} - Session document or null if not usable
  */
-exports.getQuestion = (req, res) => {
+async function findActiveSession(sessionId, playerId) {
+  if (!sessionId || !mongoose.isValidObjectId(String(sessionId))) return null;
+  return PracticeSession.findOne({
+    _id: sessionId,
+    player: playerId,
+    status: "active",
+  });
+}
+
+/**
+ * Rule set a practice session was started with
+ */
+function sessionRules(session) {
+  return getRuleSet(session.ruleSet) || getRuleSet();
+}
+
+/**
+ * PracticeProgress bucket for a session: null for the default rule set
+ */
+function progressRuleSet(session) {
+  return session.ruleSet && session.ruleSet !== getDefaultRuleSetName()
+    ? session.ruleSet
+    : null;
+}
+
+/**
+ * Issue a question to the session's player and record it against the session
+ * @param {Object} session - Active PracticeSession document
+ * @param {Object} question - Question from the bank (with answer)
+ * @returns {Promise<string>} - Opaque issued-question id for the client
+ */
+async function serveQuestion(session, question) {
+  const issued = await IssuedQuestion.issue(question, {
+    player: session.player,
+    session: session._id,
+  });
+  session.recordServedQuestion(question, issued._id);
+  await Promise.all([
+    session.save(),
+    QuestionHistory.recordSeen(session.player, questionIdentity(question)),
+  ]);
+  return issued._id;
+}
+
+/**
+ * Choose the next question for a player from a filtered pool
+ * Order: something the player hasn't seen recently, then a generated
+ * question (also fills an empty pool), then the least recently seen one.
+ * @returns {Promise<Object|null>} Bank or generated question, or null
+ */
+async function chooseQuestion(playerId, pool, { difficulty, finalLevel, symbols }) {
+  const recentKeys = await QuestionHistory.recentKeys(playerId);
+  const picked = pickQuestion(pool, recentKeys);
+  if (picked && picked.fresh) return picked.question;
+
+  const generated = generateQuestion({ difficulty, finalLevel, symbols });
+  if (generated) return generated;
+
+  return picked ? picked.question : null;
+}
+
+/**
+ * Get a question based on difficulty and symbol
+ * Level comes from the player's stored QM (PracticeProgress) and rating,
+ * not from the client. The served question is recorded against the
+ * caller's practice session.
+ */
+exports.getQuestion = async (req, res) => {
+  const sessionId = req.query.sessionId;
   const diff = String(req.query.difficulty || "")
     .trim()
     .toLowerCase();
   const rawSymbols = req.query.symbol;
-  const rating = Number(req.query.playerRating);
-  const qm = req.query.qm !== undefined ? Number(req.query.qm) : null;
 
   // Parse symbol parameter (comma-separated or single)
   const symbolList = rawSymbols
@@ -96,31 +233,46 @@ exports.getQuestion = (req, res) => {
     : [];
 
   // Validation
-  if (
-    !["easy", "medium", "hard"].includes(diff) ||
-    !symbolList.length ||
-    isNaN(rating) ||
-    rating < 0
-  ) {
+  if (!["easy", "medium", "hard"].includes(diff) || !symbolList.length) {
     return res.status(400).json({
       message:
-        "Provide difficulty=(easy|medium|hard), symbol (one or comma-separated), numeric playerRating, and optional qm (Question Meter)",
-    });
-  }
-
-  // Validate QM if provided
-  if (qm !== null && (isNaN(qm) || qm < 0)) {
-    return res.status(400).json({
-      message: "Question Meter (qm) must be a non-negative number if provided",
+        "Provide difficulty=(easy|medium|hard) and symbol (one or comma-separated)",
     });
   }
 
   try {
-    const allQs = loadQuestionsFromExcel();
+    const session = await findActiveSession(sessionId, req.user._id);
+    if (!session) {
+      return res
+        .status(404)
+        .json({ message: "Active practice session not found" });
+    }
+    if (session.difficulty !== diff) {
+      return res.status(400).json({
+        message: `Practice session was started for "${session.difficulty}" difficulty`,
+      });
+    }
+
+    const rules = sessionRules(session);
+    const rating = practiceRating(req.user, diff);
+    const progress = await PracticeProgress.forPlayer(
+      req.user._id,
+      diff,
+      getInitialQM(rating, diff, rules),
+      progressRuleSet(session)
+    );
+    const qm = progress.qm;
+
+    const allQs = getQuestions();
     console.log(`Total questions loaded: ${allQs.length}`);
 
     // Determine the appropriate final level using QM or player rating
-    const targetFinalLevel = determineFinalQuestionLevel(rating, diff, qm);
+    const targetFinalLevel = determineFinalQuestionLevel(
+      rating,
+      diff,
+      qm,
+      rules
+    );
     console.log(
       `Player rating: ${rating}, Difficulty: ${diff}, QM: ${qm}, Target final level: ${targetFinalLevel}`
     );
@@ -149,7 +301,13 @@ exports.getQuestion = (req, res) => {
 
     console.log(`Questions after symbol filter: ${pool.length}`);
 
-    if (!pool.length) {
+    const picked = await chooseQuestion(req.user._id, pool, {
+      difficulty: diff,
+      finalLevel: targetFinalLevel,
+      symbols: symbolList,
+    });
+
+    if (!picked) {
       return res.status(404).json({
         message: `No questions available matching difficulty "${diff}", final level ${targetFinalLevel}, and symbols [${symbolList.join(
           ", "
@@ -165,11 +323,14 @@ exports.getQuestion = (req, res) => {
       });
     }
 
-    // Select random question from the filtered pool
-    const question = pool[Math.floor(Math.random() * pool.length)];
+    // Served in the session's format, or the question's own
+    const question = presentQuestion(picked, session.format);
+
+    const questionId = await serveQuestion(session, question);
 
-    // Return the question with consistent field names
+    // Return the question with consistent field names (answer stays server-side)
     const responseQuestion = {
+      questionId,
       questionKey: question.questionKey,
       questionLevel: question.questionLevel,
       difficulty: question.difficulty,
@@ -177,8 +338,9 @@ exports.getQuestion = (req, res) => {
       question: question.question,
       input1: question.input1,
       input2: question.input2,
-      answer: question.answer,
       symbol: question.symbol,
+      format: question.format,
+      choices: question.choices,
       valid: question.valid,
       combo: question.combo,
       finalLevel: question.finalLevel,
@@ -186,9 +348,12 @@ exports.getQuestion = (req, res) => {
     };
 
     return res.json({
+      sessionId: session._id,
       question: responseQuestion,
+      progress: progress.toState(),
       debug: {
         poolSize: pool.length,
+        generated: Boolean(question.generated),
         targetFinalLevel: targetFinalLevel,
         levelDeterminedBy: qm !== null && qm >= 0 ? "QM" : "PlayerRating",
         questionMeter: qm,
@@ -204,35 +369,18 @@ exports.getQuestion = (req, res) => {
 
 /**
  * Submit an answer and get the next question
+ * The answer is graded against the issued question identified by questionId;
+ * numeric answers compare by value (see answerChecker), and a wrong answer
+ * comes back with a reason
  */
-exports.submitAnswer = (req, res) => {
-  const {
-    playerRating,
-    currentScore,
-    givenAnswer,
-    question,
-    symbol,
-    qm,
-    streak = 0,
-  } = req.body;
-
-  if (
-    typeof playerRating !== "number" ||
-    typeof currentScore !== "number" ||
-    !question ||
-    typeof question.answer === "undefined"
-  ) {
-    return res.status(400).json({
-      message:
-        "Missing required fields: playerRating, currentScore, question.answer",
-    });
-  }
+exports.submitAnswer = async (req, res) => {
+  // qm, streak, currentScore, playerRating and format are server-side state
+  // now; anything the client still sends for them is ignored
+  const { sessionId, questionId, givenAnswer, symbol } = req.body;
 
-  // Validate QM if provided
-  const questionMeter = qm !== undefined ? Number(qm) : null;
-  if (questionMeter !== null && (isNaN(questionMeter) || questionMeter < 0)) {
+  if (!sessionId || !questionId) {
     return res.status(400).json({
-      message: "Question Meter (qm) must be a non-negative number if provided",
+      message: "Missing required fields: sessionId, questionId",
     });
   }
 
@@ -243,65 +391,109 @@ exports.submitAnswer = (req, res) => {
         .map((s) => s.trim().toLowerCase())
         .filter(Boolean);
 
-  // Check if answer is correct
-  const correct = String(givenAnswer).trim() === String(question.answer).trim();
-
-  streak = correct ? streak + 1 : 0;
-
-  // Get the final level from the question (use the new structure)
-  const questionFinalLevel = question.finalLevel || 1;
-
-  // Calculate score delta based on rating brackets and question final level
-  let delta = 0;
-  const tiers = [
-    { max: 400, thresh: 1 },
-    { max: 800, thresh: 2 },
-    { max: 1200, thresh: 2 },
-    { max: 1600, thresh: 3 },
-    { max: 2000, thresh: 4 },
-    { max: Infinity, thresh: 5 },
-  ];
-
-  for (const t of tiers) {
-    if (playerRating <= t.max) {
-      // If question final level is within player's threshold, give more points
-      delta =
-        questionFinalLevel <= t.thresh ? (correct ? 2 : -1) : correct ? 1 : -1;
-      break;
+  try {
+    const session = await findActiveSession(sessionId, req.user._id);
+    if (!session) {
+      return res
+        .status(404)
+        .json({ message: "Active practice session not found" });
     }
-  }
 
-  const nextQM = Math.max(0, qm + delta);
-  let newCurrentScore = currentScore;
+    const pending = session.pendingQuestion();
+    if (!pending || pending.questionId !== String(questionId)) {
+      return res
+        .status(409)
+        .json({ message: "This question is not waiting for an answer" });
+    }
 
-  if (correct) {
-    if (streak <= 2) {
-      newCurrentScore = newCurrentScore + 1;
-    } else if (streak == 3) {
-      newCurrentScore = newCurrentScore + 3;
-    } else if (streak == 5) {
-      newCurrentScore = newCurrentScore + 5;
-    } else if (streak == 10) {
-      newCurrentScore = newCurrentScore + 10;
-    } else if (streak % 10 == 0) {
-      newCurrentScore = newCurrentScore + 10;
+    // Grade against the answer stored when the question was issued
+    const issued = await IssuedQuestion.claim(questionId, req.user._id);
+    if (!issued) {
+      return res
+        .status(410)
+        .json({ message: "Question has expired or was already answered" });
     }
-  }
 
-  try {
-    const allQs = loadQuestionsFromExcel();
+    const { correct, reason } = checkAnswer(givenAnswer, issued);
+    const question = session.recordAnswer(questionId, givenAnswer, correct);
+    await Promise.all([
+      session.save(),
+      SkillMastery.recordAnswer(req.user._id, {
+        symbol: question.symbol,
+        finalLevel: question.finalLevel,
+        correct,
+        responseTimeMs: question.answeredAt - question.servedAt,
+      }),
+      // misses go to the review queue (see reviewController)
+      !correct &&
+        issued.questionKey &&
+        ReviewItem.recordMiss(req.user._id, issued.questionKey, {
+          question: question.question,
+          answer: issued.answer,
+          tolerance: issued.tolerance,
+          format: issued.format,
+          choices: issued.choices,
+          symbol: issued.symbol,
+          difficulty: issued.difficulty,
+          finalLevel: issued.finalLevel,
+        }),
+    ]);
+
+    // Get the final level from the question (use the new structure)
+    const questionFinalLevel = question.finalLevel || 1;
+    const rules = sessionRules(session);
+    const playerRating = practiceRating(req.user, session.difficulty);
+
+    const progress = await PracticeProgress.forPlayer(
+      req.user._id,
+      session.difficulty,
+      getInitialQM(playerRating, session.difficulty, rules),
+      progressRuleSet(session)
+    );
+    const previous = progress.toState();
+    // guessable formats (true/false, multiple choice) leave progression alone
+    const rated = isRatedFormat(issued.format);
+    let delta = 0;
+    const updated = rated
+      ? await PracticeProgress.applyAnswer(progress, (state) => {
+          const next = progressAfterAnswer(
+            state,
+            { correct, playerRating, questionFinalLevel },
+            rules
+          );
+          delta = next.delta;
+          return next;
+        })
+      : previous;
+    if (!updated) {
+      // only if the progress record was removed mid-request; the answer is
+      // already graded, so report it rather than asking for a retry
+      console.error(`Practice progress for ${req.user._id} disappeared while answering`);
+      return res
+        .status(500)
+        .json({ message: "Practice progress could not be updated", correct, reason });
+    }
+
+    const {
+      qm: nextQM,
+      streak: newStreak,
+      currentScore: newCurrentScore,
+    } = updated;
+
+    const allQs = getQuestions();
 
     // Determine appropriate final level for next question using QM or rating
     const nextFinalLevel = determineFinalQuestionLevel(
       playerRating,
-      question.difficulty,
-      nextQM
+      session.difficulty,
+      nextQM,
+      rules
     );
 
     // Filter questions for next question
-    let nextPool = allQs.filter(
+    const nextPool = allQs.filter(
       (q) =>
-        q.difficulty === question.difficulty &&
+        q.difficulty === session.difficulty &&
         q.finalLevel === nextFinalLevel &&
         symbolList.some((sym) => {
           if (!q.symbol) return false;
@@ -313,28 +505,35 @@ exports.submitAnswer = (req, res) => {
         })
     );
 
-    if (!nextPool.length) {
+    const nextPicked = await chooseQuestion(req.user._id, nextPool, {
+      difficulty: session.difficulty,
+      finalLevel: nextFinalLevel,
+      symbols: symbolList,
+    });
+
+    if (!nextPicked) {
       return res.status(404).json({
         message: "No next questions available",
         newCurrentScore,
         correct,
+        reason,
         debug: {
-          difficulty: question.difficulty,
+          difficulty: session.difficulty,
           finalLevel: nextFinalLevel,
           symbols: symbolList,
-          levelDeterminedBy:
-            questionMeter !== null && questionMeter >= 0
-              ? "QM"
-              : "PlayerRating",
-          questionMeter: questionMeter,
+          levelDeterminedBy: "QM",
+          questionMeter: nextQM,
         },
       });
     }
 
-    const nextQ = nextPool[Math.floor(Math.random() * nextPool.length)];
+    const nextQ = presentQuestion(nextPicked, session.format);
+
+    const nextQuestionId = await serveQuestion(session, nextQ);
 
-    // Format the next question with consistent field names
+    // Format the next question with consistent field names (answer stays server-side)
     const responseNextQuestion = {
+      questionId: nextQuestionId,
       questionKey: nextQ.questionKey,
       questionLevel: nextQ.questionLevel,
       score: newCurrentScore,
@@ -343,8 +542,9 @@ exports.submitAnswer = (req, res) => {
       question: nextQ.question,
       input1: nextQ.input1,
       input2: nextQ.input2,
-      answer: nextQ.answer,
       symbol: nextQ.symbol,
+      format: nextQ.format,
+      choices: nextQ.choices,
       valid: nextQ.valid,
       combo: nextQ.combo,
       finalLevel: nextQ.finalLevel,
@@ -353,15 +553,19 @@ exports.submitAnswer = (req, res) => {
 
     return res.json({
       correct,
-      oldScore: currentScore,
+      reason,
+      rated,
+      streak: newStreak,
+      qm: nextQM,
+      oldScore: previous.currentScore,
       updatedScore: newCurrentScore,
       scoreDelta: delta,
       nextQuestion: responseNextQuestion,
       debug: {
         nextPoolSize: nextPool.length,
+        generated: Boolean(nextQ.generated),
         nextFinalLevel: nextFinalLevel,
-        levelDeterminedBy:
-          questionMeter !== null && questionMeter >= 0 ? "QM" : "PlayerRating",
+        levelDeterminedBy: "QM",
         questionMeter: nextQM,
       },
     });
@@ -375,19 +579,24 @@ exports.submitAnswer = (req, res) => {
 
 /**
  * Helper to translate score to max level (if still needed for other parts)
+ * @param {number} score
+ * @param {Object} [rules] - Rule set, the default one if omitted
  */
-exports.getLevelFromScore = (score) => {
-  const breakpoints = [5, 9, 13, 17, 21, 25, 29, 33, 37];
-  return breakpoints.findIndex((bp) => score <= bp) + 1 || 10;
+exports.getLevelFromScore = (score, rules = getRuleSet()) => {
+  const breakpoints = rules.match.levelBreakpoints;
+  return breakpoints.findIndex((bp) => score <= bp) + 1 || breakpoints.length + 1;
 };
 
 /**
  * Preload questions on startup
  */
 function preloadQuestions() {
+  // the database cache is loaded by app.js once mongoose is connected
+  if (QUESTION_SOURCE === "database") return;
+
   console.log("[Startup] Preloading questions from Excel...");
   try {
-    const data = loadQuestionsFromExcel();
+    const data = getQuestions();
     console.log(`[Startup] Preloaded ${data.length} questions`);
 
     // Log some statistics
@@ -410,6 +619,11 @@ function preloadQuestions() {
   }
 }
 
+exports.getInitialQM = getInitialQM;
+exports.practiceRating = practiceRating;
+exports.sessionRules = sessionRules;
+exports.progressRuleSet = progressRuleSet;
+
 // Export functions for testing
 exports.determineQuestionLevel = determineQuestionLevel;
 exports.getQuestionLevelFromQM = getQuestionLevelFromQM;
@@ -0,0 +1,133 @@
+const mongoose = require("mongoose");
+const ReviewItem = require("../models/ReviewItem");
+const { checkAnswer } = require("../answerChecker");
+
+// SM-2 quality used when the client doesn't grade its own recall
+const DEFAULT_CORRECT_QUALITY = 4;
+const INCORRECT_QUALITY = 1;
+
+/**
+ * GET /api/review/next
+ * Returns the most overdue review item (without its answer), or
+ * { item: null, nextDueAt } when nothing is due yet
+ */
+exports.getNextReview = async (req, res) => {
+  try {
+    const now = new Date();
+    const [item, dueCount] = await Promise.all([
+      ReviewItem.findOne({ player: req.user._id, dueAt: { $lte: now } }).sort({ dueAt: 1 }),
+      ReviewItem.countDocuments({ player: req.user._id, dueAt: { $lte: now } }),
+    ]);
+
+    if (!item) {
+      const upcoming = await ReviewItem.findOne({ player: req.user._id })
+        .sort({ dueAt: 1 })
+        .select("dueAt");
+      return res.json({
+        item: null,
+        dueCount: 0,
+        nextDueAt: upcoming ? upcoming.dueAt : null,
+      });
+    }
+
+    return res.json({
+      dueCount,
+      item: {
+        reviewId: item._id,
+        questionKey: item.questionKey,
+        question: item.question.question,
+        format: item.question.format,
+        choices: item.question.choices,
+        symbol: item.question.symbol,
+        difficulty: item.question.difficulty,
+        finalLevel: item.question.finalLevel,
+        repetitions: item.repetitions,
+        dueAt: item.dueAt,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching review item:", error);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * POST /api/review/:reviewId/answer
+ * Body: { givenAnswer, quality } - quality (3-5) optionally grades how easy a
+ * correct recall was; wrong answers always count as a lapse
+ * Reschedules the item with SM-2. Doesn't touch practice ratings or QM.
+ */
+exports.submitReview = async (req, res) => {
+  const { reviewId } = req.params;
+  const { givenAnswer, quality } = req.body;
+
+  if (!mongoose.isValidObjectId(reviewId)) {
+    return res.status(400).json({ message: "Invalid review id" });
+  }
+  if (
+    quality !== undefined &&
+    (!Number.isInteger(quality) || quality < 3 || quality > 5)
+  ) {
+    return res.status(400).json({ message: "quality must be an integer from 3 to 5" });
+  }
+
+  try {
+    const item = await ReviewItem.findOne({ _id: reviewId, player: req.user._id });
+    if (!item) {
+      return res.status(404).json({ message: "Review item not found" });
+    }
+    if (item.dueAt > new Date()) {
+      return res.status(409).json({ message: "Review item is not due yet", dueAt: item.dueAt });
+    }
+
+    const { correct, reason } = checkAnswer(givenAnswer, item.question);
+    const grade = correct ? quality ?? DEFAULT_CORRECT_QUALITY : INCORRECT_QUALITY;
+    const schedule = item.nextSchedule(grade);
+
+    // Conditional on dueAt so a double submit only reschedules once
+    const updated = await ReviewItem.findOneAndUpdate(
+      { _id: item._id, dueAt: item.dueAt },
+      { $set: schedule, $inc: { lapses: correct ? 0 : 1 } },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(409).json({ message: "Review item was already answered" });
+    }
+
+    return res.json({
+      correct,
+      reason,
+      correctAnswer: item.question.answer,
+      quality: grade,
+      repetitions: updated.repetitions,
+      intervalDays: updated.intervalDays,
+      easeFactor: updated.easeFactor,
+      nextDueAt: updated.dueAt,
+    });
+  } catch (error) {
+    console.error("Error submitting review:", error);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * GET /api/review
+ * Counts of the player's review queue
+ */
+exports.getReviewSummary = async (req, res) => {
+  try {
+    const now = new Date();
+    const [total, due, upcoming] = await Promise.all([
+      ReviewItem.countDocuments({ player: req.user._id }),
+      ReviewItem.countDocuments({ player: req.user._id, dueAt: { $lte: now } }),
+      ReviewItem.findOne({ player: req.user._id, dueAt: { $gt: now } })
+        .sort({ dueAt: 1 })
+        .select("dueAt"),
+    ]);
+
+    return res.json({ total, due, nextDueAt: upcoming ? upcoming.dueAt : null });
+  } catch (error) {
+    console.error("Error fetching review summary:", error);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
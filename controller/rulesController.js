@@ -0,0 +1,33 @@
+const {
+  getRuleSet,
+  listRuleSets,
+  ruleSetFor,
+  canUseRuleSet,
+} = require("../rules");
+
+/**
+ * GET /api/rules
+ * Every rule set, with whether the caller may start a lobby or practice
+ * session under it; assigned is the set they get when they don't pick one
+ */
+exports.listRuleSets = async (req, res) => {
+  return res.json({
+    assigned: ruleSetFor(req.user),
+    ruleSets: listRuleSets().map((ruleSet) => ({
+      ...ruleSet,
+      usable: canUseRuleSet(req.user, ruleSet.name),
+    })),
+  });
+};
+
+/**
+ * GET /api/rules/:name
+ * The fully resolved rule set (extends already applied)
+ */
+exports.getRuleSet = async (req, res) => {
+  const rules = getRuleSet(req.params.name);
+  if (!rules) {
+    return res.status(404).json({ message: "Rule set not found" });
+  }
+  return res.json({ name: req.params.name, rules });
+};
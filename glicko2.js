@@ -0,0 +1,155 @@
+/*
+Glicko-2 rating engine for PvP (Glickman, "Example of the Glicko-2 system").
+Each match is one rating period: a player is rated against every opponent
+in the room at once. Weeks without a match widen the deviation, so a
+returning player moves faster until the system is sure of them again.
+*/
+
+// Which engine rates PvP matches: 'elo' (default) or 'glicko2'
+const RATING_SYSTEM = (process.env.RATING_SYSTEM || 'elo').toLowerCase();
+
+const GLICKO_CONFIG = {
+  DEFAULT_RD: 350, // a brand-new player; also the ceiling for inactivity growth
+  MIN_RD: 30, // keeps established players from freezing completely
+  DEFAULT_VOLATILITY: 0.06,
+  TAU: 0.5, // how much volatility may change per period
+  INACTIVITY_PERIOD_MS: 7 * 24 * 60 * 60 * 1000, // one idle period per week
+  CONVERGENCE: 0.000001,
+};
+
+// Glicko-2 internal scale
+const SCALE = 173.7178;
+const CENTER = 1500;
+
+/**
+ * Starting state for a player with no Glicko-2 history
+ * @param {number} rating - Rating to start from (e.g. their current Elo)
+ * @param {number} [rd] - Deviation; DEFAULT_RD if unknown
+ * @returns {Object} { rating, rd, volatility, lastPlayedAt }
+ */
+function initialState(rating, rd = GLICKO_CONFIG.DEFAULT_RD) {
+  return {
+    rating,
+    rd,
+    volatility: GLICKO_CONFIG.DEFAULT_VOLATILITY,
+    lastPlayedAt: null,
+  };
+}
+
+/**
+ * Deviation after the idle periods since the player's last match
+ * @param {Object} state - { rd, volatility, lastPlayedAt }
+ * @param {number} [now]
+ * @returns {number}
+ */
+function currentDeviation(state, now = Date.now()) {
+  if (!state.lastPlayedAt) return state.rd;
+
+  const idle = now - new Date(state.lastPlayedAt).getTime();
+  const periods = Math.floor(idle / GLICKO_CONFIG.INACTIVITY_PERIOD_MS);
+  if (periods <= 0) return state.rd;
+
+  const phi = state.rd / SCALE;
+  const grown = Math.sqrt(phi * phi + periods * state.volatility * state.volatility);
+  return Math.min(GLICKO_CONFIG.DEFAULT_RD, grown * SCALE);
+}
+
+function g(phi) {
+  return 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+}
+
+function expectedScore(mu, muOpponent, phiOpponent) {
+  return 1 / (1 + Math.exp(-g(phiOpponent) * (mu - muOpponent)));
+}
+
+/**
+ * New volatility, step 5 of the paper (Illinois algorithm)
+ */
+function nextVolatility(phi, sigma, v, delta) {
+  const a = Math.log(sigma * sigma);
+  const tau = GLICKO_CONFIG.TAU;
+  const f = (x) => {
+    const ex = Math.exp(x);
+    const d = phi * phi + v + ex;
+    return (ex * (delta * delta - d)) / (2 * d * d) - (x - a) / (tau * tau);
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * tau) < 0) k++;
+    B = a - k * tau;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > GLICKO_CONFIG.CONVERGENCE) {
+    const C = A + ((A - B) * fA) / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA /= 2;
+    }
+    B = C;
+    fB = fC;
+  }
+
+  return Math.exp(A / 2);
+}
+
+/**
+ * Rate one player over a period (a match)
+ * @param {Object} state - The player's { rating, rd, volatility, lastPlayedAt }
+ * @param {Array} results - [{ opponent: state, score }] with score 1, 0.5 or 0
+ * @param {number} [now]
+ * @returns {Object} New state, lastPlayedAt set to now
+ */
+function rate(state, results, now = Date.now()) {
+  const mu = (state.rating - CENTER) / SCALE;
+  const phi = currentDeviation(state, now) / SCALE;
+  const sigma = state.volatility;
+
+  if (results.length === 0) {
+    return { ...state, rd: phi * SCALE };
+  }
+
+  let vInverse = 0;
+  let improvement = 0;
+  results.forEach(({ opponent, score }) => {
+    const muJ = (opponent.rating - CENTER) / SCALE;
+    const phiJ = currentDeviation(opponent, now) / SCALE;
+    const E = expectedScore(mu, muJ, phiJ);
+    vInverse += g(phiJ) * g(phiJ) * E * (1 - E);
+    improvement += g(phiJ) * (score - E);
+  });
+  const v = 1 / vInverse;
+  const delta = v * improvement;
+
+  const newSigma = nextVolatility(phi, sigma, v, delta);
+  const phiStar = Math.sqrt(phi * phi + newSigma * newSigma);
+  const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+  const newMu = mu + newPhi * newPhi * improvement;
+
+  return {
+    rating: newMu * SCALE + CENTER,
+    rd: Math.min(
+      GLICKO_CONFIG.DEFAULT_RD,
+      Math.max(GLICKO_CONFIG.MIN_RD, newPhi * SCALE)
+    ),
+    volatility: newSigma,
+    lastPlayedAt: new Date(now),
+  };
+}
+
+module.exports = {
+  RATING_SYSTEM,
+  GLICKO_CONFIG,
+  initialState,
+  currentDeviation,
+  rate,
+};
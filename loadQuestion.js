@@ -7,6 +7,13 @@ let questionCache = null;
 // Path to your Excel file - update this path as needed
 const WORKBOOK_PATH = './config/questionmaster_final.xlsx'; // Update this to your actual file path
 
+// Where questions are served from: 'excel' (default) or 'database'
+const QUESTION_SOURCE = (process.env.QUESTION_SOURCE || 'excel').toLowerCase();
+
+// Buckets every question bank is expected to fill (see getLevelFromScore)
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const FINAL_LEVELS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+
 /**
  * Load questions from Excel file with multi-row headers and cache the results
  * @returns {Array} Array of question objects
@@ -19,62 +26,7 @@ function loadQuestionsFromExcel() {
   }
 
   try {
-    console.log('Loading Excel file from:', WORKBOOK_PATH);
-    
-    // Read the Excel file
-    const workbook = xlsx.readFile(WORKBOOK_PATH);
-    
-    // Filter sheets that start with "QM" (Question Management)
-    const sheetNames = workbook.SheetNames.filter(name => name.startsWith('QM'));
-    console.log('Found QM sheets:', sheetNames);
-    
-    if (sheetNames.length === 0) {
-      console.warn('No sheets starting with "QM" found. Available sheets:', workbook.SheetNames);
-      questionCache = [];
-      return questionCache;
-    }
-
-    const allRows = [];
-
-    // Process each QM sheet
-    sheetNames.forEach(sheetName => {
-      console.log(`Processing sheet: ${sheetName}`);
-      const worksheet = workbook.Sheets[sheetName];
-      
-      // Get the raw data including headers
-      const rawData = xlsx.utils.sheet_to_json(worksheet, { 
-        header: 1, // Use array of arrays format
-        defval: '',
-        raw: false
-      });
-      
-      console.log(`Sheet ${sheetName} has ${rawData.length} rows`);
-      
-      if (rawData.length < 3) {
-        console.warn(`Sheet ${sheetName} doesn't have enough rows (need at least 3 for headers + data)`);
-        return;
-      }
-
-      // Extract the actual column headers from row 2 (index 1)
-      const headerRow = rawData[1]; // Second row contains the actual headers
-      console.log('Header row:', headerRow);
-      
-      // Create column mapping based on the actual header positions
-      const columnMapping = createColumnMapping(headerRow);
-      console.log('Column mapping:', columnMapping);
-      
-      // Process data rows (starting from row 3, index 2)
-      const dataRows = rawData.slice(2);
-      
-      dataRows.forEach((row, index) => {
-        if (row && row.length > 0 && row[0]) { // Skip empty rows
-          const processedRow = processDataRow(row, columnMapping, index);
-          if (processedRow) {
-            allRows.push(processedRow);
-          }
-        }
-      });
-    });
+    const allRows = readQuestionsFromWorkbook(WORKBOOK_PATH);
 
     console.log('Total processed rows:', allRows.length);
 
@@ -89,6 +41,7 @@ function loadQuestionsFromExcel() {
     // Log statistics
     const stats = generateStatistics(questionCache);
     console.log('Question Statistics:', stats);
+    logValidationReport(validateQuestions(questionCache));
 
     // Log first few questions for verification
     console.log('Sample questions (first 3):');
@@ -105,6 +58,74 @@ function loadQuestionsFromExcel() {
   }
 }
 
+/**
+ * Parse every QM sheet of a workbook into question objects (no caching)
+ * @param {string} workbookPath - Path to the .xlsx file
+ * @returns {Array} Array of question objects
+ * @throws if the file can't be read
+ */
+function readQuestionsFromWorkbook(workbookPath) {
+  console.log('Loading Excel file from:', workbookPath);
+
+  // Read the Excel file
+  const workbook = xlsx.readFile(workbookPath);
+
+  // Filter sheets that start with "QM" (Question Management)
+  const sheetNames = workbook.SheetNames.filter(name => name.startsWith('QM'));
+  console.log('Found QM sheets:', sheetNames);
+
+  if (sheetNames.length === 0) {
+    console.warn('No sheets starting with "QM" found. Available sheets:', workbook.SheetNames);
+    return [];
+  }
+
+  const allRows = [];
+
+  // Process each QM sheet
+  sheetNames.forEach(sheetName => {
+    console.log(`Processing sheet: ${sheetName}`);
+    const worksheet = workbook.Sheets[sheetName];
+    
+    // Get the raw data including headers
+    const rawData = xlsx.utils.sheet_to_json(worksheet, { 
+      header: 1, // Use array of arrays format
+      defval: '',
+      raw: false
+    });
+    
+    console.log(`Sheet ${sheetName} has ${rawData.length} rows`);
+    
+    if (rawData.length < 3) {
+      console.warn(`Sheet ${sheetName} doesn't have enough rows (need at least 3 for headers + data)`);
+      return;
+    }
+
+    // Extract the actual column headers from row 2 (index 1)
+    const headerRow = rawData[1]; // Second row contains the actual headers
+    console.log('Header row:', headerRow);
+    
+    // Create column mapping based on the actual header positions
+    const columnMapping = createColumnMapping(headerRow);
+    console.log('Column mapping:', columnMapping);
+    
+    // Process data rows (starting from row 3, index 2)
+    const dataRows = rawData.slice(2);
+    // sheet row number of rawData[0], in case the used range doesn't start at row 1
+    const firstRow = worksheet['!ref'] ? xlsx.utils.decode_range(worksheet['!ref']).s.r + 1 : 1;
+    
+    dataRows.forEach((row, index) => {
+      if (row && row.length > 0 && row[0]) { // Skip empty rows
+        const processedRow = processDataRow(row, columnMapping, firstRow + 2 + index, sheetName);
+        if (processedRow) {
+          allRows.push(processedRow);
+        }
+      }
+    });
+  });
+
+  return allRows;
+}
+
 /**
  * Create column mapping based on header row
  * @param {Array} headerRow - Array of header values from row 2
@@ -139,6 +160,10 @@ function createColumnMapping(headerRow) {
       mapping.combo = index;
     } else if (headerLower === 'final level' || headerLower.includes('final level')) {
       mapping.finalLevel = index;
+    } else if (headerLower === 'tolerance') {
+      mapping.tolerance = index;
+    } else if (headerLower === 'format') {
+      mapping.format = index;
     }
   });
   
@@ -149,10 +174,11 @@ function createColumnMapping(headerRow) {
  * Process a single data row
  * @param {Array} row - Array of cell values
  * @param {Object} columnMapping - Column index mapping
- * @param {number} rowIndex - Row index for debugging
+ * @param {number} rowIndex - Spreadsheet row number (1-based, as shown in Excel)
+ * @param {string} [sheetName] - Sheet the row came from
  * @returns {Object|null} - Processed question object or null if invalid
  */
-function processDataRow(row, columnMapping, rowIndex) {
+function processDataRow(row, columnMapping, rowIndex, sheetName = null) {
   try {
     // Extract and process question level
     const rawLevel = String(row[columnMapping.questionLevel] || '').trim();
@@ -188,7 +214,11 @@ function processDataRow(row, columnMapping, rowIndex) {
       valid: row[columnMapping.valid] || '',
       combo: row[columnMapping.combo] || '',
       finalLevel: finalLevel,
-      _rowIndex: rowIndex
+      // optional column; blank means exact
+      tolerance: parseFloat(row[columnMapping.tolerance]) || 0,
+      format: String(row[columnMapping.format] || '').trim().toLowerCase() || 'input',
+      _sheet: sheetName,
+      _row: rowIndex
     };
 
     // Validate that we have essential data
@@ -256,11 +286,144 @@ function generateStatistics(questions) {
   return stats;
 }
 
+/**
+ * Read non-deleted questions from MongoDB (no caching)
+ * @returns {Promise<Array>} Array of question objects
+ */
+async function fetchQuestionsFromDatabase() {
+  // required lazily so the Excel path doesn't need a mongoose connection
+  const Question = require('./models/Question');
+  const docs = await Question.find({ deleted: false });
+  return docs.map(doc => doc.toQuestionObject());
+}
+
+/**
+ * Load non-deleted questions from MongoDB into the cache
+ * Unlike the Excel loader this always re-reads, so call it after edits
+ * @returns {Promise<Array>} Array of question objects
+ */
+async function loadQuestionsFromDatabase() {
+  try {
+    questionCache = await fetchQuestionsFromDatabase();
+
+    console.log('Loaded questions from database:', questionCache.length);
+    console.log('Question Statistics:', generateStatistics(questionCache));
+    return questionCache;
+  } catch (error) {
+    console.error('Error loading questions from database:', error);
+    // keep serving the previous cache rather than an empty pool
+    questionCache = questionCache || [];
+    return questionCache;
+  }
+}
+
+/**
+ * Check a parsed question bank before it is served
+ * Errors (block a reload): missing answer, unknown difficulty, duplicate questionKey.
+ * Warnings: difficulty/final-level buckets with no questions, which only
+ * block a reload in strict mode.
+ * @param {Array} questions - Array of question objects
+ * @returns {Object} Report with { valid, total, errors, warnings }
+ */
+function validateQuestions(questions) {
+  // where to find the question in the workbook; null for database questions
+  const rowRef = q => ({
+    sheet: q._sheet || null,
+    row: q._row !== undefined ? q._row : null,
+    questionKey: q.questionKey || null,
+  });
+
+  const missingAnswer = [];
+  const unknownDifficulty = [];
+  const rowsByKey = {};
+
+  questions.forEach(q => {
+    if (q.answer === undefined || q.answer === null || String(q.answer).trim() === '') {
+      missingAnswer.push(rowRef(q));
+    }
+    if (!DIFFICULTIES.includes(q.difficulty)) {
+      unknownDifficulty.push({ ...rowRef(q), questionLevel: q.questionLevel || '' });
+    }
+    if (q.questionKey) {
+      const { sheet, row } = rowRef(q);
+      (rowsByKey[q.questionKey] = rowsByKey[q.questionKey] || []).push({ sheet, row });
+    }
+  });
+
+  const duplicateKeys = Object.keys(rowsByKey)
+    .filter(key => rowsByKey[key].length > 1)
+    .map(key => ({ questionKey: key, rows: rowsByKey[key] }));
+
+  const emptyBuckets = [];
+  DIFFICULTIES.forEach(difficulty => {
+    FINAL_LEVELS.forEach(finalLevel => {
+      const filled = questions.some(q => q.difficulty === difficulty && q.finalLevel === finalLevel);
+      if (!filled) emptyBuckets.push({ difficulty, finalLevel });
+    });
+  });
+
+  const errors = { missingAnswer, unknownDifficulty, duplicateKeys };
+  const valid = questions.length > 0 && Object.values(errors).every(list => list.length === 0);
+
+  return {
+    valid,
+    total: questions.length,
+    errors,
+    warnings: { emptyBuckets },
+  };
+}
+
+function logValidationReport(report) {
+  const { errors, warnings } = report;
+  if (report.valid && warnings.emptyBuckets.length === 0) return;
+  console.warn('Question bank validation:', {
+    total: report.total,
+    missingAnswer: errors.missingAnswer.length,
+    unknownDifficulty: errors.unknownDifficulty.length,
+    duplicateKeys: errors.duplicateKeys.length,
+    emptyBuckets: warnings.emptyBuckets.length,
+  });
+}
+
+/**
+ * Re-read the question source, validate it, and swap it into the cache
+ * only if it passes; otherwise the current cache keeps being served.
+ * @param {Object} options - { strict: also reject on empty buckets }
+ * @returns {Promise<Object>} { applied, source, report, error? }
+ */
+async function reloadQuestions({ strict = false } = {}) {
+  let questions;
+  try {
+    questions = QUESTION_SOURCE === 'database'
+      ? await fetchQuestionsFromDatabase()
+      : readQuestionsFromWorkbook(WORKBOOK_PATH);
+  } catch (error) {
+    console.error('Question reload failed to read source:', error);
+    return { applied: false, source: QUESTION_SOURCE, report: null, error: error.message };
+  }
+
+  const report = validateQuestions(questions);
+  const passed = report.valid && (!strict || report.warnings.emptyBuckets.length === 0);
+  logValidationReport(report);
+
+  if (passed) {
+    // single assignment, so readers see either the old bank or the new one
+    questionCache = questions;
+    console.log(`Question cache reloaded from ${QUESTION_SOURCE}:`, questions.length);
+  }
+
+  return { applied: passed, source: QUESTION_SOURCE, report };
+}
+
 /**
  * Get cached questions or reload if cache is empty
+ * In database mode the cache is filled by loadQuestionsFromDatabase()
  * @returns {Array} Array of question objects
  */
 function getQuestions() {
+  if (QUESTION_SOURCE === 'database') {
+    return questionCache || [];
+  }
   return loadQuestionsFromExcel();
 }
 
@@ -318,7 +481,16 @@ function getRandomQuestion(difficulty = null, finalLevel = null) {
 }
 
 module.exports = {
+  QUESTION_SOURCE,
+  WORKBOOK_PATH,
   loadQuestionsFromExcel,
+  loadQuestionsFromDatabase,
+  readQuestionsFromWorkbook,
+  createColumnMapping,
+  processDataRow,
+  parseQuestionLevel,
+  validateQuestions,
+  reloadQuestions,
   getQuestions,
   getQuestionsByDifficulty,
   getQuestionsByFinalLevel,
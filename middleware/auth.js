@@ -1,6 +1,18 @@
 const jwt = require('jsonwebtoken');
 const Player = require('../models/Player');
 
+/**
+ * Verify a JWT and load the player it belongs to
+ * @param {string} token - Raw JWT (without "Bearer ")
+ * @returns {Promise<Object|null>} Player without password, or null if not found
+ * @throws if the token is invalid or expired
+ */
+async function authenticateToken(token) {
+  // Verify token and extract payload
+  const payload = jwt.verify(token, process.env.JWT_SECRET);
+  return Player.findById(payload.id).select('-password');
+}
+
 module.exports = async (req, res, next) => {
   const authHeader = req.headers.authorization;
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -9,11 +21,8 @@ module.exports = async (req, res, next) => {
 
   const token = authHeader.split(' ')[1];
   try {
-    // Verify token and extract payload
-    const payload = jwt.verify(token, process.env.JWT_SECRET);
-
     // Attach player to request
-    const player = await Player.findById(payload.id).select('-password');
+    const player = await authenticateToken(token);
     if (!player) {
       return res.status(401).json({ message: 'Player not found' });
     }
@@ -24,3 +33,28 @@ module.exports = async (req, res, next) => {
     return res.status(401).json({ message: 'Invalid or expired token' });
   }
 };
+
+/**
+ * Socket.IO middleware: expects the token in the handshake as
+ * `auth: { token }` and attaches the player to socket.data.player
+ */
+module.exports.socketAuth = async (socket, next) => {
+  const token = socket.handshake.auth?.token;
+  if (!token) {
+    return next(new Error('Authentication required'));
+  }
+
+  try {
+    const player = await authenticateToken(token);
+    if (!player) {
+      return next(new Error('Player not found'));
+    }
+    socket.data.player = player;
+    next();
+  } catch (err) {
+    console.error('Socket auth error:', err.message);
+    return next(new Error('Invalid or expired token'));
+  }
+};
+
+module.exports.authenticateToken = authenticateToken;
@@ -0,0 +1,16 @@
+/**
+ * Role gate; must run after the auth middleware.
+ * Passes if the player has any of the given roles.
+ * Usage: router.get('/x', auth, requireRole('admin'), handler)
+ */
+module.exports = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'Authentication required' });
+  }
+
+  const playerRoles = req.user.roles || [];
+  if (!roles.some(role => playerRoles.includes(role))) {
+    return res.status(403).json({ message: `Requires role: ${roles.join(' or ')}` });
+  }
+  next();
+};
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+
+// A PvP challenge from one player to another, waiting for a response
+const invitationSchema = new mongoose.Schema({
+  from: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Player',
+    required: true,
+    index: true,
+  },
+  to: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Player',
+    required: true,
+    index: true,
+  },
+  difficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard'],
+    default: 'medium',
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'cancelled', 'expired'],
+    default: 'pending',
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  respondedAt: { type: Date },
+  // a challenge to several players is one invitation each, sharing a group;
+  // the room is created once every invitation in the group is accepted
+  groupId:   { type: String, required: true, index: true },
+  groupSize: { type: Number, default: 1 },
+  // set once every invitee accepted and the room exists
+  roomId: { type: String, default: null },
+}, { timestamps: true });
+
+
+
+// Pending invitations that haven't run out yet
+invitationSchema.statics.openFilter = function(extra = {}) {
+  return { ...extra, status: 'pending', expiresAt: { $gt: new Date() } };
+};
+
+// Invitations still waiting on their group: pending, or accepted while the
+// room waits for the other invitees
+invitationSchema.statics.unsettledFilter = function(extra = {}) {
+  return {
+    ...extra,
+    status: { $in: ['pending', 'accepted'] },
+    roomId: null,
+    expiresAt: { $gt: new Date() },
+  };
+};
+
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+// How long a served question can still be answered
+const ISSUED_QUESTION_TTL = 10 * 60 * 1000; // 10 minutes
+
+
+// A question handed to a client, identified by an opaque id.
+// The answer never leaves the server; grading looks it up by id.
+const issuedQuestionSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: uuidv4,
+  },
+  player: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Player',
+    required: true,
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PracticeSession',
+  },
+  questionKey: { type: String, trim: true },
+  difficulty:  { type: String },
+  symbol:      { type: String, trim: true },
+  finalLevel:  { type: Number, default: 1 },
+  answer:      { type: mongoose.Schema.Types.Mixed, required: true },
+  tolerance:   { type: Number, default: 0 },
+  // served format; the answer above is the one for this format
+  format:      { type: String, default: 'input' },
+  choices:     { type: [String], default: undefined },
+  answeredAt:  { type: Date, default: null },
+  // MongoDB removes the document once this date passes
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + ISSUED_QUESTION_TTL),
+    index: { expires: 0 },
+  },
+}, { timestamps: true });
+
+
+
+// Issue a question to a player and return the stored document
+issuedQuestionSchema.statics.issue = function(question, { player, session }) {
+  return this.create({
+    player,
+    session,
+    questionKey: question.questionKey,
+    difficulty: question.difficulty,
+    symbol: question.symbol,
+    finalLevel: question.finalLevel,
+    answer: question.answer,
+    tolerance: question.tolerance || 0,
+    format: question.format || 'input',
+    choices: question.choices || undefined,
+  });
+};
+
+// Atomically mark an unexpired, unanswered question as answered.
+// Returns null if the id is unknown, expired, already used or not the player's.
+issuedQuestionSchema.statics.claim = function(questionId, playerId) {
+  return this.findOneAndUpdate(
+    {
+      _id: String(questionId),
+      player: playerId,
+      answeredAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { answeredAt: new Date() } },
+    { new: true }
+  );
+};
+
+
+module.exports = mongoose.model('IssuedQuestion', issuedQuestionSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+
+// One player's response to a round
+const roundResponseSchema = new mongoose.Schema({
+  player:         { type: mongoose.Schema.Types.ObjectId, ref: 'Player' },
+  answer:         { type: String },
+  correct:        { type: Boolean, default: false },
+  points:         { type: Number, default: 0 },
+  responseTimeMs: { type: Number },
+  // no answer before the round timer ran out
+  timedOut:       { type: Boolean, default: false },
+  // why a wrong answer was rejected (see answerChecker REJECTION_REASONS)
+  reason:         { type: String, default: null },
+}, { _id: false });
+
+// A question asked during the match and how each player answered it
+const roundSchema = new mongoose.Schema({
+  questionNumber: { type: Number, required: true },
+  question: {
+    questionKey: { type: String },
+    question:    { type: String },
+    input1:      { type: mongoose.Schema.Types.Mixed },
+    input2:      { type: mongoose.Schema.Types.Mixed },
+    answer:      { type: mongoose.Schema.Types.Mixed },
+    symbol:      { type: String },
+    finalLevel:  { type: Number },
+    format:      { type: String },
+    choices:     { type: [String], default: undefined },
+  },
+  level:     { type: Number },
+  askedAt:   { type: Date },
+  responses: [roundResponseSchema],
+}, { _id: false });
+
+const matchPlayerSchema = new mongoose.Schema({
+  player:       { type: mongoose.Schema.Types.ObjectId, ref: 'Player', required: true },
+  username:     { type: String },
+  score:        { type: Number, default: 0 },
+  // final standing, ties share a rank
+  rank:         { type: Number },
+  // didn't reconnect in time; ranked below everyone who stayed
+  forfeited:    { type: Boolean, default: false },
+  ratingBefore: { type: Number },
+  ratingAfter:  { type: Number },
+  ratingDelta:  { type: Number },
+  // Glicko-2 matches only: deviation after the match
+  deviationAfter: { type: Number },
+}, { _id: false });
+
+const matchSchema = new mongoose.Schema({
+  roomId: { type: String, index: true },
+  players: [matchPlayerSchema],
+  difficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard'],
+    required: true,
+  },
+  rounds: [roundSchema],
+  // null for a draw
+  winner:     { type: mongoose.Schema.Types.ObjectId, ref: 'Player', default: null },
+  endReason:  { type: String },
+  // engine that rated the match: 'elo' or 'glicko2'
+  ratingSystem: { type: String, enum: ['elo', 'glicko2'], default: 'elo' },
+  startedAt:  { type: Date },
+  endedAt:    { type: Date, default: Date.now },
+  durationMs: { type: Number, default: 0 },
+}, { timestamps: true });
+
+// Per-player history, newest first
+matchSchema.index({ 'players.player': 1, endedAt: -1 });
+
+
+module.exports = mongoose.model('Match', matchSchema);
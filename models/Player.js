@@ -1,6 +1,14 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
 
+// Glicko-2 state for one difficulty (see glicko2.js); only kept up to date
+// while RATING_SYSTEM=glicko2, and its rating is mirrored into pr.pvp
+const glickoRatingSchema = new mongoose.Schema({
+  rating:       { type: Number, required: true },
+  rd:           { type: Number, required: true },
+  volatility:   { type: Number, required: true },
+  lastPlayedAt: { type: Date, default: null },
+}, { _id: false });
 
 const playerSchema = new mongoose.Schema({
   username: {
@@ -31,6 +39,19 @@ const playerSchema = new mongoose.Schema({
     type: Date,
     required: false,
   },
+  // access roles; everyone is a player, admins are granted via
+  // ADMIN_EMAILS at startup or promoted by another admin
+  roles: {
+    type: [{ type: String, enum: ['player', 'admin'] }],
+    default: ['player'],
+  },
+  // rules.js rule set an admin assigned (a classroom or event); null means
+  // the deployment's default
+  ruleSet: {
+    type: String,
+    default: null,
+    trim: true,
+  },
   // "PR" = personal record / high score
   pr: {
     practice: {
@@ -42,10 +63,24 @@ const playerSchema = new mongoose.Schema({
       easy:   { type: Number, default: 1000 },
       medium: { type: Number, default: 1000 },
       hard:   { type: Number, default: 1000 },
+      glicko: {
+        easy:   { type: glickoRatingSchema, default: undefined },
+        medium: { type: glickoRatingSchema, default: undefined },
+        hard:   { type: glickoRatingSchema, default: undefined },
+      },
     }
   }
 }, { timestamps: true });
 
+// Leaderboard indexes: one per mode/difficulty rating, globally and per country.
+// _id breaks ties so pages are stable.
+['practice', 'pvp'].forEach(mode => {
+  ['easy', 'medium', 'hard'].forEach(difficulty => {
+    const field = `pr.${mode}.${difficulty}`;
+    playerSchema.index({ [field]: -1, _id: 1 });
+    playerSchema.index({ country: 1, [field]: -1, _id: 1 });
+  });
+});
 
 
 playerSchema.pre('save', async function(next) {
@@ -60,5 +95,22 @@ playerSchema.methods.comparePassword = function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+playerSchema.methods.hasRole = function(role) {
+  return (this.roles || []).includes(role);
+};
+
+// Grant admin to the given emails (first-admin bootstrap); returns modified count.
+// Does nothing once any admin exists, so a later demotion sticks across restarts.
+playerSchema.statics.bootstrapAdmins = async function(emails) {
+  const list = emails.map(email => email.trim().toLowerCase()).filter(Boolean);
+  if (list.length === 0) return 0;
+  if (await this.exists({ roles: 'admin' })) return 0;
+  const result = await this.updateMany(
+    { email: { $in: list }, roles: { $ne: 'admin' } },
+    { $addToSet: { roles: { $each: ['player', 'admin'] } } }
+  );
+  return result.modifiedCount;
+};
+
 
 module.exports = mongoose.model('Player', playerSchema);
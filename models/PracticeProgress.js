@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const { retryOnDuplicateKey } = require('../upsertRetry');
+
+
+// Server-side practice progression for one player and difficulty.
+// Survives across sessions, so a reinstall picks up where the player left off.
+const practiceProgressSchema = new mongoose.Schema({
+  player: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Player',
+    required: true,
+  },
+  difficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard'],
+    required: true,
+  },
+  // rule set the progress was earned under; null is the default rule set,
+  // so QM from a lenient set never carries over into the standard one
+  ruleSet: { type: String, default: null },
+  qm:           { type: Number, default: 0, min: 0 }, // Question Meter
+  streak:       { type: Number, default: 0, min: 0 },
+  currentScore: { type: Number, default: 0 },
+  answered:     { type: Number, default: 0 },
+  // bumped on every update; writes only apply to the revision they read
+  revision:     { type: Number, default: 0 },
+}, { timestamps: true });
+
+practiceProgressSchema.index({ player: 1, difficulty: 1, ruleSet: 1 }, { unique: true });
+
+
+
+// Load a player's progress under a rule set (null for the default),
+// creating it with the given starting QM the first time
+practiceProgressSchema.statics.forPlayer = function(playerId, difficulty, initialQM = 0, ruleSet = null) {
+  const load = () => this.findOneAndUpdate(
+    { player: playerId, difficulty, ruleSet },
+    { $setOnInsert: { qm: initialQM } },
+    { upsert: true, new: true }
+  );
+  return retryOnDuplicateKey(load);
+};
+
+/**
+ * Apply a graded answer atomically
+ * By the time this runs the answer has been graded and its question claimed,
+ * so it retries until the write lands rather than giving up: every failed
+ * attempt means another update succeeded in between, so the loop ends.
+ * @param {Object} progress - Document returned by forPlayer
+ * @param {Function} next - (state) => { qm, streak, currentScore } computed from
+ *   the current state; re-run with fresh state if another write got there first
+ * @returns {Promise<Object|null>} Updated document, or null if the progress was deleted
+ */
+practiceProgressSchema.statics.applyAnswer = async function(progress, next) {
+  let current = progress;
+  while (current) {
+    const { qm, streak, currentScore } = next(current);
+    const updated = await this.findOneAndUpdate(
+      { _id: current._id, revision: current.revision },
+      {
+        $set: { qm: Math.max(0, qm), streak: Math.max(0, streak), currentScore },
+        $inc: { revision: 1, answered: 1 },
+      },
+      { new: true }
+    );
+    if (updated) return updated;
+    current = await this.findById(current._id);
+  }
+  return null;
+};
+
+practiceProgressSchema.methods.toState = function() {
+  return { qm: this.qm, streak: this.streak, currentScore: this.currentScore };
+};
+
+
+module.exports = mongoose.model('PracticeProgress', practiceProgressSchema);
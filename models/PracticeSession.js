@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const { isRatedFormat } = require('../questionFormats');
+
+
+// One entry per question the server handed out during the session
+const practiceQuestionSchema = new mongoose.Schema({
+  // IssuedQuestion id; the answer itself lives only on that document
+  questionId:  { type: String, required: true },
+  questionKey: { type: String, trim: true },
+  question:    { type: String, trim: true },
+  symbol:      { type: String, trim: true },
+  finalLevel:  { type: Number, default: 1 },
+  format:      { type: String, default: 'input' },
+  givenAnswer: { type: String },
+  status: {
+    type: String,
+    enum: ['pending', 'correct', 'incorrect', 'skipped'],
+    default: 'pending',
+  },
+  servedAt:   { type: Date, default: Date.now },
+  answeredAt: { type: Date },
+}, { _id: false });
+
+const practiceSessionSchema = new mongoose.Schema({
+  player: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Player',
+    required: true,
+    index: true,
+  },
+  difficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard'],
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['active', 'ended'],
+    default: 'active',
+  },
+  // served format for the whole session (see questionFormats); null means
+  // each question's own format
+  format: { type: String, default: null },
+  // rules.js rule set name; practice scoring follows it for the whole session
+  ruleSet: { type: String, trim: true },
+  questions: [practiceQuestionSchema],
+  // server-side tallies, filled in when the session ends
+  correctCount:   { type: Number, default: 0 },
+  incorrectCount: { type: Number, default: 0 },
+  skippedCount:   { type: Number, default: 0 },
+  pointsEarned: { type: Number },
+  oldRating:    { type: Number },
+  newRating:    { type: Number },
+  endedAt:      { type: Date },
+}, { timestamps: true });
+
+
+
+// The question currently waiting for an answer, if any
+practiceSessionSchema.methods.pendingQuestion = function() {
+  const last = this.questions[this.questions.length - 1];
+  return last && last.status === 'pending' ? last : null;
+};
+
+// Record a newly issued question; an unanswered previous one counts as skipped
+practiceSessionSchema.methods.recordServedQuestion = function(question, questionId) {
+  const pending = this.pendingQuestion();
+  if (pending) pending.status = 'skipped';
+
+  this.questions.push({
+    questionId,
+    questionKey: question.questionKey,
+    question: question.question,
+    symbol: question.symbol,
+    finalLevel: question.finalLevel,
+    format: question.format,
+  });
+};
+
+// Record the server's grading of the pending question
+practiceSessionSchema.methods.recordAnswer = function(questionId, givenAnswer, correct) {
+  const pending = this.pendingQuestion();
+  if (!pending || pending.questionId !== String(questionId)) return null;
+
+  pending.givenAnswer = String(givenAnswer);
+  pending.status = correct ? 'correct' : 'incorrect';
+  pending.answeredAt = new Date();
+  return pending;
+};
+
+// Count graded questions; anything still pending is treated as skipped.
+// ratedOnly leaves out questions served in a guessable format
+practiceSessionSchema.methods.tally = function({ ratedOnly = false } = {}) {
+  const counts = { correctCount: 0, incorrectCount: 0, skippedCount: 0 };
+  this.questions.forEach(q => {
+    if (ratedOnly && !isRatedFormat(q.format)) return;
+    if (q.status === 'correct') counts.correctCount++;
+    else if (q.status === 'incorrect') counts.incorrectCount++;
+    else counts.skippedCount++;
+  });
+  return counts;
+};
+
+
+module.exports = mongoose.model('PracticeSession', practiceSessionSchema);
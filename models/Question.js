@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+
+// Same fields processDataRow builds from the spreadsheet
+const questionSchema = new mongoose.Schema({
+  questionKey: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  questionLevel: { type: String, trim: true },
+  difficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard', 'unknown'],
+    default: 'unknown',
+  },
+  levelNumber: { type: Number, default: null },
+  question:    { type: String, required: true, trim: true },
+  input1:      { type: mongoose.Schema.Types.Mixed, default: '' },
+  input2:      { type: mongoose.Schema.Types.Mixed, default: '' },
+  answer:      { type: mongoose.Schema.Types.Mixed, required: true },
+  symbol:      { type: String, trim: true, default: '' },
+  valid:       { type: mongoose.Schema.Types.Mixed, default: '' },
+  combo:       { type: mongoose.Schema.Types.Mixed, default: '' },
+  finalLevel:  { type: Number, default: 1, min: 1 },
+  // how the question is shown by default (see questionFormats)
+  format: {
+    type: String,
+    enum: ['input', 'multiple_choice', 'true_false', 'missing_operand'],
+    default: 'input',
+  },
+  // absolute allowance for numeric answers, e.g. 0.01 for "round to 2 places"
+  tolerance:   { type: Number, default: 0, min: 0 },
+  // soft delete: hidden from players and search, kept for history
+  deleted:   { type: Boolean, default: false },
+  deletedAt: { type: Date, default: null },
+}, { timestamps: true });
+
+questionSchema.index({ deleted: 1, difficulty: 1, finalLevel: 1 });
+questionSchema.index({ symbol: 1 });
+
+
+
+// Plain question object in the shape the rest of the app expects
+questionSchema.methods.toQuestionObject = function() {
+  return {
+    id: String(this._id),
+    questionKey: this.questionKey,
+    questionLevel: this.questionLevel,
+    difficulty: this.difficulty,
+    levelNumber: this.levelNumber,
+    question: this.question,
+    input1: this.input1,
+    input2: this.input2,
+    answer: this.answer,
+    symbol: this.symbol,
+    valid: this.valid,
+    combo: this.combo,
+    finalLevel: this.finalLevel,
+    tolerance: this.tolerance,
+    format: this.format,
+  };
+};
+
+
+module.exports = mongoose.model('Question', questionSchema);
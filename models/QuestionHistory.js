@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { retryOnDuplicateKey } = require('../upsertRetry');
+
+// How many recent questions are remembered per player
+const HISTORY_SIZE = 100;
+
+
+// Most recent questions a player has been served, oldest first.
+// One document per player; questions are identified by questionKey.
+const questionHistorySchema = new mongoose.Schema({
+  player: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Player',
+    required: true,
+    unique: true,
+  },
+  recent: [{
+    _id: false,
+    questionKey: { type: String, required: true },
+    seenAt:      { type: Date, default: Date.now },
+  }],
+}, { timestamps: true });
+
+
+
+// Append questions to a player's history, keeping only the newest HISTORY_SIZE
+questionHistorySchema.statics.recordSeen = function(playerId, questionKeys) {
+  const keys = [].concat(questionKeys).filter(Boolean);
+  if (keys.length === 0) return Promise.resolve(null);
+
+  const seenAt = new Date();
+  const push = () => this.updateOne(
+    { player: playerId },
+    {
+      $push: {
+        recent: {
+          $each: keys.map(questionKey => ({ questionKey, seenAt })),
+          $slice: -HISTORY_SIZE,
+        },
+      },
+    },
+    { upsert: true }
+  );
+  return retryOnDuplicateKey(push);
+};
+
+// questionKeys a player has seen recently, oldest first
+questionHistorySchema.statics.recentKeys = async function(playerId) {
+  const history = await this.findOne({ player: playerId }).select('recent').lean();
+  return history ? history.recent.map(entry => entry.questionKey) : [];
+};
+
+
+module.exports = mongoose.model('QuestionHistory', questionHistorySchema);
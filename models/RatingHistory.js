@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const MODES = ['practice', 'pvp'];
+const SOURCE_TYPES = ['match', 'practiceSession'];
+
+
+// One rating change, written once when a match or practice session is
+// settled and never updated afterwards
+const ratingHistorySchema = new mongoose.Schema({
+  player: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Player',
+    required: true,
+  },
+  mode:       { type: String, enum: MODES, required: true },
+  difficulty: { type: String, enum: ['easy', 'medium', 'hard'], required: true },
+  oldRating:  { type: Number, required: true },
+  newRating:  { type: Number, required: true },
+  delta:      { type: Number, required: true },
+  // what changed the rating: a Match or a PracticeSession
+  sourceType: { type: String, enum: SOURCE_TYPES, required: true },
+  sourceId:   { type: mongoose.Schema.Types.ObjectId, default: null },
+  // PvP only: engine that produced the change (see glicko2.js)
+  ratingSystem: { type: String, enum: ['elo', 'glicko2'] },
+  recordedAt: { type: Date, default: Date.now },
+});
+
+ratingHistorySchema.index({ player: 1, mode: 1, difficulty: 1, recordedAt: 1 });
+
+// Entries are append-only
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'].forEach(op => {
+  ratingHistorySchema.pre(op, function() {
+    throw new Error('RatingHistory entries cannot be changed');
+  });
+});
+
+
+
+/**
+ * Append one entry per rating change
+ * @param {Array} entries - [{ player, mode, difficulty, oldRating, newRating, sourceType, sourceId, ratingSystem }]
+ */
+ratingHistorySchema.statics.record = function(entries) {
+  const docs = entries.map(entry => ({
+    ...entry,
+    delta: entry.newRating - entry.oldRating,
+  }));
+  return docs.length ? this.insertMany(docs) : Promise.resolve([]);
+};
+
+
+module.exports = mongoose.model('RatingHistory', ratingHistorySchema);
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const { retryOnDuplicateKey } = require('../upsertRetry');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A freshly missed question comes back after this long
+const RELEARN_DELAY_MS = 10 * 60 * 1000; // 10 minutes
+const MIN_EASE_FACTOR = 1.3;
+
+
+// A question a player got wrong, scheduled for review with SM-2.
+// The question is kept as it was served (text, format, answer) so it can be
+// asked again even if the bank changes or it was generated.
+const reviewItemSchema = new mongoose.Schema({
+  player: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Player',
+    required: true,
+  },
+  questionKey: { type: String, required: true },
+  question: {
+    question:   { type: String },
+    answer:     { type: mongoose.Schema.Types.Mixed, required: true },
+    tolerance:  { type: Number, default: 0 },
+    format:     { type: String, default: 'input' },
+    choices:    { type: [String], default: undefined },
+    symbol:     { type: String },
+    difficulty: { type: String },
+    finalLevel: { type: Number },
+  },
+  // SM-2 state
+  easeFactor:  { type: Number, default: 2.5 },
+  intervalDays: { type: Number, default: 0 },
+  repetitions: { type: Number, default: 0 },
+  lapses:      { type: Number, default: 0 },
+  dueAt:       { type: Date, default: () => new Date(Date.now() + RELEARN_DELAY_MS) },
+  lastReviewedAt: { type: Date, default: null },
+}, { timestamps: true });
+
+reviewItemSchema.index({ player: 1, questionKey: 1 }, { unique: true });
+reviewItemSchema.index({ player: 1, dueAt: 1 });
+
+
+
+/**
+ * Save a missed question, or send an existing item back to the start
+ * of its schedule if the player missed it again
+ */
+reviewItemSchema.statics.recordMiss = function(playerId, questionKey, snapshot) {
+  const dueAt = new Date(Date.now() + RELEARN_DELAY_MS);
+  const upsert = () => this.updateOne(
+    { player: playerId, questionKey },
+    {
+      $set: { question: snapshot, repetitions: 0, intervalDays: 0, dueAt },
+      $inc: { lapses: 1 },
+    },
+    { upsert: true }
+  );
+  return retryOnDuplicateKey(upsert);
+};
+
+/**
+ * SM-2 schedule after a review
+ * @param {number} quality - 0 (blackout) to 5 (perfect); below 3 is a lapse
+ * @returns {Object} Fields to $set on the item
+ */
+reviewItemSchema.methods.nextSchedule = function(quality, now = new Date()) {
+  let { easeFactor, intervalDays, repetitions } = this;
+
+  if (quality < 3) {
+    repetitions = 0;
+    intervalDays = 0;
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) intervalDays = 1;
+    else if (repetitions === 2) intervalDays = 6;
+    else intervalDays = Math.round(intervalDays * easeFactor);
+  }
+
+  easeFactor = Math.max(
+    MIN_EASE_FACTOR,
+    easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  );
+
+  const delay = intervalDays > 0 ? intervalDays * DAY_MS : RELEARN_DELAY_MS;
+  return {
+    easeFactor: Math.round(easeFactor * 100) / 100,
+    intervalDays,
+    repetitions,
+    dueAt: new Date(now.getTime() + delay),
+    lastReviewedAt: now,
+  };
+};
+
+
+module.exports = mongoose.model('ReviewItem', reviewItemSchema);
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const { retryOnDuplicateKey } = require('../upsertRetry');
+const { operationForSymbol } = require('../questionGenerator');
+
+// How many recent answers feed the trend
+const RECENT_WINDOW = 20;
+// Recent accuracy this far above/below lifetime accuracy counts as a trend
+const TREND_THRESHOLD = 0.1;
+
+
+// One player's record for one operation at one final level
+const skillMasterySchema = new mongoose.Schema({
+  player: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Player',
+    required: true,
+  },
+  // operation name from questionGenerator (add, divide, ...) or the raw symbol
+  symbol:     { type: String, required: true },
+  finalLevel: { type: Number, required: true },
+  attempts:   { type: Number, default: 0 },
+  correct:    { type: Number, default: 0 },
+  // answers with a measured response time, for the average
+  timedAttempts:       { type: Number, default: 0 },
+  totalResponseTimeMs: { type: Number, default: 0 },
+  recent: [{
+    _id: false,
+    correct:        { type: Boolean },
+    responseTimeMs: { type: Number },
+    at:             { type: Date, default: Date.now },
+  }],
+  lastAnsweredAt: { type: Date },
+}, { timestamps: true });
+
+skillMasterySchema.index({ player: 1, symbol: 1, finalLevel: 1 }, { unique: true });
+
+
+
+/**
+ * Skill names a question symbol counts towards; "x" and "*" are both multiply,
+ * and a comma list ("+,-") counts for each operation in it
+ */
+skillMasterySchema.statics.skillsForSymbol = function(symbol) {
+  const skills = String(symbol || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean)
+    .map(s => operationForSymbol(s) || s.toLowerCase());
+  return [...new Set(skills)];
+};
+
+// Record one graded answer; a single atomic upsert per skill
+skillMasterySchema.statics.recordAnswer = function(playerId, { symbol, finalLevel, correct, responseTimeMs }) {
+  const timed = Number.isFinite(responseTimeMs) && responseTimeMs >= 0;
+  const now = new Date();
+
+  const record = skill => this.updateOne(
+    { player: playerId, symbol: skill, finalLevel: finalLevel || 1 },
+    {
+      $inc: {
+        attempts: 1,
+        correct: correct ? 1 : 0,
+        timedAttempts: timed ? 1 : 0,
+        totalResponseTimeMs: timed ? responseTimeMs : 0,
+      },
+      $push: {
+        recent: {
+          $each: [{ correct: Boolean(correct), responseTimeMs: timed ? responseTimeMs : null, at: now }],
+          $slice: -RECENT_WINDOW,
+        },
+      },
+      $set: { lastAnsweredAt: now },
+    },
+    { upsert: true }
+  );
+
+  return Promise.all(this.skillsForSymbol(symbol).map(skill =>
+    retryOnDuplicateKey(() => record(skill))
+  ));
+};
+
+// Accuracy, speed and trend for display
+skillMasterySchema.methods.summary = function() {
+  const accuracy = this.attempts ? this.correct / this.attempts : 0;
+  const recentCorrect = this.recent.filter(r => r.correct).length;
+  const recentAccuracy = this.recent.length ? recentCorrect / this.recent.length : 0;
+
+  let trend = 'steady';
+  if (this.recent.length < this.attempts) {
+    if (recentAccuracy - accuracy >= TREND_THRESHOLD) trend = 'improving';
+    else if (accuracy - recentAccuracy >= TREND_THRESHOLD) trend = 'declining';
+  }
+
+  return {
+    symbol: this.symbol,
+    finalLevel: this.finalLevel,
+    attempts: this.attempts,
+    correct: this.correct,
+    accuracy: Math.round(accuracy * 1000) / 1000,
+    avgResponseTimeMs: this.timedAttempts
+      ? Math.round(this.totalResponseTimeMs / this.timedAttempts)
+      : null,
+    recentAccuracy: Math.round(recentAccuracy * 1000) / 1000,
+    trend,
+    lastAnsweredAt: this.lastAnsweredAt,
+  };
+};
+
+
+module.exports = mongoose.model('SkillMastery', skillMasterySchema);
@@ -0,0 +1,156 @@
+/*
+Ways a bank question can be put to a player. presentQuestion() turns a
+bank question into the served variant for a format: its text, choices
+and answer are what the client sees and what grading compares against.
+*/
+const { parseNumber } = require('./answerChecker');
+const { operationForSymbol, DISPLAY_SYMBOL } = require('./questionGenerator');
+
+const FORMATS = ['input', 'multiple_choice', 'true_false', 'missing_operand'];
+
+// Formats a player can pass by guessing (1 in 2 or 1 in 4); answers in
+// these never move practice QM, streak score or rating
+const GUESSABLE_FORMATS = ['multiple_choice', 'true_false'];
+
+const CHOICE_COUNT = 4;
+
+// Operations whose missing operand can be worked back from the answer
+const BINARY_OPERATIONS = {
+  add: (a, b) => a + b,
+  subtract: (a, b) => a - b,
+  multiply: (a, b) => a * b,
+  divide: (a, b) => a / b,
+};
+
+function shuffle(list) {
+  const copy = [...list];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+/**
+ * Plausible wrong answers for a numeric answer: near misses,
+ * place-value slips and reversed digits
+ * @param {number} answer
+ * @param {number} count
+ * @returns {Array<number>}
+ */
+function wrongAnswers(answer, count) {
+  const isInteger = Number.isInteger(answer);
+  const step = isInteger ? 1 : 0.1;
+  const candidates = [
+    answer + step, answer - step,
+    answer + 2 * step, answer - 2 * step,
+    answer + 10 * step, answer - 10 * step,
+    answer * 10, isInteger ? Math.trunc(answer / 10) : answer / 10,
+  ];
+  if (isInteger && Math.abs(answer) >= 10) {
+    const reversed = Number(String(Math.abs(answer)).split('').reverse().join(''));
+    candidates.push(answer < 0 ? -reversed : reversed);
+  }
+
+  const seen = new Set([answer]);
+  const wrong = [];
+  shuffle(candidates).forEach(candidate => {
+    const value = Math.round(candidate * 1e6) / 1e6;
+    // keep answers non-negative when the real one is
+    if (answer >= 0 && value < 0) return;
+    if (seen.has(value) || wrong.length >= count) return;
+    seen.add(value);
+    wrong.push(value);
+  });
+  return wrong;
+}
+
+// Bank text is either "7 × 8" or "7 × 8 = ?"; drop the trailing "= ?"
+function baseExpression(text) {
+  return String(text || '').replace(/\s*=\s*\?*\s*$/, '').trim();
+}
+
+/**
+ * Whether a question can be served in a format
+ */
+function supportsFormat(question, format) {
+  if (format === 'input') return true;
+  const answer = parseNumber(question.answer);
+
+  if (format === 'multiple_choice' || format === 'true_false') {
+    return answer !== null;
+  }
+  if (format === 'missing_operand') {
+    const operation = operationForSymbol(question.symbol);
+    const apply = BINARY_OPERATIONS[operation];
+    const a = parseNumber(question.input1);
+    const b = parseNumber(question.input2);
+    // only single-step questions: input1 (op) input2 must give the answer
+    if (!apply || answer === null || a === null || b === null ||
+      Math.abs(apply(a, b) - answer) >= 1e-9) {
+      return false;
+    }
+    // the hidden operand must be the only value that fits: 0 × ? = 0 and
+    // 0 ÷ ? = 0 hold for any ?, so those can't be graded against one number
+    if (operation === 'multiply') return a !== 0 && b !== 0;
+    if (operation === 'divide') return a !== 0;
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Whether answers in a format count towards rated practice progression
+ */
+function isRatedFormat(format) {
+  return !GUESSABLE_FORMATS.includes(format || 'input');
+}
+
+/**
+ * Build the served variant of a question
+ * @param {Object} question - Bank or generated question
+ * @param {string} format - Requested format; falls back to the question's own
+ *   format, then to 'input' if the question can't be shown that way
+ * @returns {Object} Copy of the question with format, question, answer and
+ *   (for multiple choice) choices set for that format
+ */
+function presentQuestion(question, format = null) {
+  let chosen = format || question.format || 'input';
+  if (!FORMATS.includes(chosen) || !supportsFormat(question, chosen)) chosen = 'input';
+
+  const presented = { ...question, format: chosen, choices: null };
+  const answer = parseNumber(question.answer);
+
+  if (chosen === 'multiple_choice') {
+    const choices = shuffle([answer, ...wrongAnswers(answer, CHOICE_COUNT - 1)]);
+    presented.choices = choices.map(String);
+    presented.answer = String(answer);
+  }
+
+  if (chosen === 'true_false') {
+    const honest = Math.random() < 0.5;
+    const shown = honest ? answer : wrongAnswers(answer, 1)[0];
+    presented.question = `Is ${baseExpression(question.question)} = ${shown}?`;
+    presented.answer = String(honest);
+  }
+
+  if (chosen === 'missing_operand') {
+    const symbol = DISPLAY_SYMBOL[operationForSymbol(question.symbol)];
+    const hideFirst = Math.random() < 0.5;
+    const shownInput1 = hideFirst ? '?' : question.input1;
+    const shownInput2 = hideFirst ? question.input2 : '?';
+    presented.question = `${shownInput1} ${symbol} ${shownInput2} = ${answer}`;
+    presented.answer = String(hideFirst ? question.input1 : question.input2);
+    presented.input1 = hideFirst ? null : question.input1;
+    presented.input2 = hideFirst ? question.input2 : null;
+  }
+
+  return presented;
+}
+
+module.exports = {
+  FORMATS,
+  supportsFormat,
+  presentQuestion,
+  isRatedFormat,
+};
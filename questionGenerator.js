@@ -0,0 +1,217 @@
+/*
+Procedural arithmetic questions, used when the bank has nothing for a
+difficulty / final level / symbol combination. Generated questions have
+the same shape processDataRow builds, plus generated: true.
+*/
+
+// Spellings a symbol may have in the bank or in a request, per operation
+const OPERATION_ALIASES = {
+  add: ['+', 'add', 'addition', 'plus', 'sum'],
+  subtract: ['-', '−', 'sub', 'subtract', 'subtraction', 'minus'],
+  multiply: ['*', 'x', '×', 'mul', 'multiply', 'multiplication', 'times'],
+  divide: ['/', '÷', 'div', 'divide', 'division'],
+  square: ['^', '²', 'square', 'squares', 'power'],
+  sqrt: ['√', 'sqrt', 'root', 'square root'],
+};
+
+// Display symbol used in the question text
+const DISPLAY_SYMBOL = {
+  add: '+', subtract: '-', multiply: '×', divide: '÷', square: '²', sqrt: '√',
+};
+
+// Used when no symbol filter is given (e.g. PvP rooms allowing every symbol)
+const DEFAULT_OPERATIONS = ['add', 'subtract', 'multiply', 'divide'];
+
+// Difficulty shifts the whole level ladder up
+const DIFFICULTY_OFFSET = { easy: 0, medium: 3, hard: 6 };
+
+/**
+ * Map a bank/request symbol to an operation name
+ * @param {string} symbol
+ * @returns {string|null}
+ */
+function operationForSymbol(symbol) {
+  const sym = String(symbol || '').trim().toLowerCase();
+  return Object.keys(OPERATION_ALIASES).find(op => OPERATION_ALIASES[op].includes(sym)) || null;
+}
+
+/**
+ * How hard a generated question is for a difficulty and final level
+ * tier runs 1 (easy, level 1) to 16 (hard, level 10)
+ * @returns {Object} { tier, digits, steps, carries: 'none' | 'allowed' | 'forced' }
+ */
+function levelProfile(difficulty, finalLevel) {
+  const level = Math.min(10, Math.max(1, parseInt(finalLevel, 10) || 1));
+  const tier = (DIFFICULTY_OFFSET[difficulty] || 0) + level;
+
+  return {
+    tier,
+    digits: Math.min(4, 1 + Math.floor((tier - 1) / 4)),
+    steps: tier >= 12 ? 3 : 2,
+    carries: tier <= 2 ? 'none' : tier <= 5 ? 'allowed' : 'forced',
+  };
+}
+
+function randomInt(min, max) {
+  return min + Math.floor(Math.random() * (max - min + 1));
+}
+
+function randomWithDigits(digits) {
+  if (digits <= 1) return randomInt(1, 9);
+  return randomInt(10 ** (digits - 1), 10 ** digits - 1);
+}
+
+function digitsOf(n) {
+  return String(n).split('').reverse().map(Number);
+}
+
+// Column-wise: does a + b carry anywhere?
+function hasCarry(a, b) {
+  const da = digitsOf(a);
+  const db = digitsOf(b);
+  return da.some((d, i) => d + (db[i] || 0) > 9);
+}
+
+// Column-wise: does a - b (a >= b) borrow anywhere?
+function hasBorrow(a, b) {
+  const da = digitsOf(a);
+  const db = digitsOf(b);
+  return da.some((d, i) => d < (db[i] || 0));
+}
+
+/**
+ * Draw a pair until the carry/borrow rule is met (falls back to the last draw)
+ */
+function pairMatchingCarries(profile, draw, carries) {
+  let pair = draw();
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const carried = carries(pair[0], pair[1]);
+    if (profile.carries === 'allowed') break;
+    if (profile.carries === 'none' && !carried) break;
+    if (profile.carries === 'forced' && carried) break;
+    pair = draw();
+  }
+  return pair;
+}
+
+// Each builder returns { operands, answer }
+const BUILDERS = {
+  add(profile) {
+    const operands = pairMatchingCarries(
+      profile,
+      () => [randomWithDigits(profile.digits), randomWithDigits(profile.digits)],
+      hasCarry
+    );
+    for (let i = 2; i < profile.steps; i++) operands.push(randomWithDigits(profile.digits));
+    return { operands, answer: operands.reduce((sum, n) => sum + n, 0) };
+  },
+
+  subtract(profile) {
+    const operands = pairMatchingCarries(
+      profile,
+      () => {
+        const a = randomWithDigits(profile.digits);
+        const b = randomWithDigits(profile.digits);
+        return a >= b ? [a, b] : [b, a];
+      },
+      hasBorrow
+    );
+    // further steps keep the running result non-negative
+    let answer = operands[0] - operands[1];
+    for (let i = 2; i < profile.steps && answer > 0; i++) {
+      const next = randomInt(1, answer);
+      operands.push(next);
+      answer -= next;
+    }
+    return { operands, answer };
+  },
+
+  multiply(profile) {
+    // factors stay at two digits or fewer so the product never passes four;
+    // harder tiers add a single-digit step instead of a wider factor
+    const operands = [randomWithDigits(Math.min(2, profile.digits))];
+    if (profile.steps > 2) {
+      operands.push(randomInt(2, 9), randomInt(2, 9));
+    } else {
+      operands.push(randomWithDigits(profile.digits >= 3 ? 2 : 1));
+    }
+    return { operands, answer: operands.reduce((product, n) => product * n, 1) };
+  },
+
+  divide(profile) {
+    // built from the product so the quotient is always whole; sized like
+    // multiply, so the dividend never passes four digits
+    const divisor = profile.digits >= 3 ? randomInt(11, 99) : randomInt(2, 9);
+    const quotient = randomWithDigits(Math.min(2, profile.digits));
+    return { operands: [divisor * quotient, divisor], answer: quotient };
+  },
+
+  square(profile) {
+    const base = randomInt(2, 5 + profile.tier * 2);
+    return { operands: [base, 2], answer: base * base };
+  },
+
+  sqrt(profile) {
+    const root = randomInt(2, 5 + profile.tier * 2);
+    return { operands: [root * root], answer: root };
+  },
+};
+
+function questionText(operation, operands) {
+  if (operation === 'square') return `${operands[0]}²`;
+  if (operation === 'sqrt') return `√${operands[0]}`;
+  return operands.join(` ${DISPLAY_SYMBOL[operation]} `);
+}
+
+/**
+ * Generate one question
+ * @param {Object} options
+ * @param {string} options.difficulty - 'easy' | 'medium' | 'hard'
+ * @param {number} options.finalLevel - 1-10
+ * @param {Array<string>} options.symbols - Allowed symbols as the caller spells them;
+ *   empty means any of + - × ÷
+ * @returns {Object|null} Question object, or null if no symbol can be generated
+ */
+function generateQuestion({ difficulty, finalLevel, symbols = [] }) {
+  const candidates = symbols.length
+    ? symbols
+        .map(symbol => ({ symbol, operation: operationForSymbol(symbol) }))
+        .filter(c => c.operation)
+    : DEFAULT_OPERATIONS.map(operation => ({ symbol: DISPLAY_SYMBOL[operation], operation }));
+
+  if (candidates.length === 0) return null;
+
+  const { symbol, operation } = candidates[Math.floor(Math.random() * candidates.length)];
+  const profile = levelProfile(difficulty, finalLevel);
+  const level = Math.min(10, Math.max(1, parseInt(finalLevel, 10) || 1));
+  const { operands, answer } = BUILDERS[operation](profile);
+
+  // the key is derived from the content, so the same question always has the same identity
+  const questionKey = `GEN-${operation}-${difficulty}-${level}-${operands.join('_')}`;
+  const label = difficulty.charAt(0).toUpperCase() + difficulty.slice(1);
+
+  return {
+    id: questionKey,
+    questionKey,
+    questionLevel: `${label} ${level}`,
+    difficulty,
+    levelNumber: level,
+    question: questionText(operation, operands),
+    input1: operands[0],
+    input2: operands.length > 1 ? operands[1] : '',
+    answer: String(answer),
+    // echo the caller's spelling so symbol filters keep matching
+    symbol,
+    valid: '',
+    combo: '',
+    finalLevel: level,
+    generated: true,
+  };
+}
+
+module.exports = {
+  DISPLAY_SYMBOL,
+  generateQuestion,
+  operationForSymbol,
+  levelProfile,
+};
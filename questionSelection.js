@@ -0,0 +1,45 @@
+/*
+Picking a question from a pool without repeating what the player saw recently.
+Questions are identified by questionKey, which both the bank and the
+generator fill; the rest is a fallback for hand-made objects.
+*/
+
+/**
+ * Stable identity of a question across reloads and sessions
+ * @param {Object} question
+ * @returns {string}
+ */
+function questionIdentity(question) {
+  return String(question.questionKey || question.id || question.question || '');
+}
+
+/**
+ * Pick a random question, preferring ones not in the recent list
+ * When everything in the pool was seen recently, returns the one seen
+ * longest ago so a small pool still rotates instead of repeating.
+ * @param {Array} pool - Candidate questions
+ * @param {Array<string>} recentKeys - Recently seen identities, oldest first
+ * @returns {Object|null} { question, fresh } or null for an empty pool
+ */
+function pickQuestion(pool, recentKeys = []) {
+  if (!pool.length) return null;
+
+  // last position each key was seen at; higher means more recent
+  const lastSeen = new Map();
+  recentKeys.forEach((key, index) => lastSeen.set(key, index));
+
+  const fresh = pool.filter(q => !lastSeen.has(questionIdentity(q)));
+  if (fresh.length) {
+    return { question: fresh[Math.floor(Math.random() * fresh.length)], fresh: true };
+  }
+
+  const leastRecent = pool.reduce((best, q) =>
+    lastSeen.get(questionIdentity(q)) < lastSeen.get(questionIdentity(best)) ? q : best
+  );
+  return { question: leastRecent, fresh: false };
+}
+
+module.exports = {
+  questionIdentity,
+  pickQuestion,
+};
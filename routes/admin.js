@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controller/adminController');
+const matchController = require('../controller/matchController');
+const auth = require('../middleware/auth');
+const requireRole = require('../middleware/requireRole');
+
+router.use(auth, requireRole('admin'));
+
+router.get('/players', adminController.listPlayers);
+router.post('/players/:playerId/promote', adminController.promotePlayer);
+router.post('/players/:playerId/demote', adminController.demotePlayer);
+router.put('/players/:playerId/rule-set', adminController.assignRuleSet);
+
+router.get('/rooms', matchController.getActiveRooms);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const adminQuestionController = require('../controller/adminQuestionController');
+const auth = require('../middleware/auth');
+const requireRole = require('../middleware/requireRole');
+
+router.use(auth, requireRole('admin'));
+
+router.get('/', adminQuestionController.searchQuestions);
+router.post('/', adminQuestionController.createQuestion);
+router.post('/import', adminQuestionController.importFromExcel);
+router.post('/reload', adminQuestionController.reloadQuestionBank);
+router.get('/:id', adminQuestionController.getQuestionById);
+router.patch('/:id', adminQuestionController.updateQuestion);
+router.delete('/:id', adminQuestionController.deleteQuestion);
+router.post('/:id/restore', adminQuestionController.restoreQuestion);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const leaderboardController = require('../controller/leaderboardController');
+const auth = require('../middleware/auth');
+
+router.get('/:mode/:difficulty', auth, leaderboardController.getLeaderboard);
+router.get('/:mode/:difficulty/me', auth, leaderboardController.getMyRank);
+
+module.exports = router;
\ No newline at end of file
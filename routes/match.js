@@ -1,8 +1,30 @@
 const express = require('express');
 const router = express.Router();
 const matchController = require('../controller/matchController');
+const matchmakingController = require('../controller/matchmakingController');
+const matchHistoryController = require('../controller/matchHistoryController');
 const auth = require('../middleware/auth')
 
 router.post('/challenge', auth, matchController.createChallenge);
+router.get('/challenges', auth, matchController.listChallenges);
+router.post('/challenge/:invitationId/accept', auth, matchController.acceptChallenge);
+router.post('/challenge/:invitationId/decline', auth, matchController.declineChallenge);
+router.delete('/challenge/:invitationId', auth, matchController.cancelChallenge);
+
+router.post('/lobby', auth, matchController.createLobby);
+router.post('/lobby/join', auth, matchController.joinLobby);
+router.patch('/lobby/:roomId', auth, matchController.updateLobby);
+router.post('/lobby/:roomId/start', auth, matchController.startLobby);
+router.post('/lobby/:roomId/leave', auth, matchController.leaveLobby);
+router.delete('/lobby/:roomId/players/:playerId', auth, matchController.kickFromLobby);
+
+router.get('/live', auth, matchController.getLiveMatches);
+
+router.post('/queue', auth, matchmakingController.joinQueue);
+router.get('/queue', auth, matchmakingController.getQueueStatus);
+router.delete('/queue', auth, matchmakingController.leaveQueue);
+
+router.get('/history', auth, matchHistoryController.getMatchHistory);
+router.get('/history/:matchId', auth, matchHistoryController.getMatchDetails);
 
 module.exports = router;
\ No newline at end of file
@@ -4,6 +4,7 @@ const practiceMatchController = require('../controller/practiceMatchController')
 const auth = require('../middleware/auth');
 
 
+router.post('/start', auth, practiceMatchController.startPracticeSession);
 router.post('/endMatch', auth, practiceMatchController.endPracticeSession);
 
 module.exports = router;
\ No newline at end of file
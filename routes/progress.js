@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const progressController = require('../controller/progressController');
+const auth = require('../middleware/auth');
+const requireRole = require('../middleware/requireRole');
+
+router.get('/me', auth, progressController.getMyProgress);
+router.get('/me/ratings', auth, progressController.getMyRatingHistory);
+router.get('/players/:playerId', auth, requireRole('admin'), progressController.getPlayerProgress);
+router.get('/players/:playerId/ratings', auth, requireRole('admin'), progressController.getPlayerRatingHistory);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const reviewController = require('../controller/reviewController');
+const auth = require('../middleware/auth');
+
+router.get('/', auth, reviewController.getReviewSummary);
+router.get('/next', auth, reviewController.getNextReview);
+router.post('/:reviewId/answer', auth, reviewController.submitReview);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const rulesController = require('../controller/rulesController');
+const auth = require('../middleware/auth');
+
+router.get('/', auth, rulesController.listRuleSets);
+router.get('/:name', auth, rulesController.getRuleSet);
+
+module.exports = router;
@@ -0,0 +1,268 @@
+const fs = require('fs');
+const path = require('path');
+
+// Rules file and its JSON Schema; RULES_PATH can point at another rules file
+const RULES_PATH = process.env.RULES_PATH || path.join(__dirname, 'config', 'rules.json');
+const SCHEMA_PATH = path.join(__dirname, 'config', 'rules.schema.json');
+
+// Resolved, frozen rule sets by name
+let ruleSets = null;
+let defaultRuleSetName = null;
+
+/**
+ * Validate a value against the subset of JSON Schema the rules schema uses:
+ * type, enum, required, properties, additionalProperties, items,
+ * minItems/maxItems, minimum/maximum and local $refs
+ * @returns {Array<string>} Error messages, empty if valid
+ */
+function validateAgainstSchema(value, schema, root, at = '') {
+  if (schema.$ref) {
+    const target = schema.$ref.replace(/^#\//, '').split('/')
+      .reduce((node, key) => node && node[key], root);
+    return validateAgainstSchema(value, target, root, at);
+  }
+
+  const where = at || '(root)';
+  const errors = [];
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const actual = value === null ? 'null'
+      : Array.isArray(value) ? 'array'
+      : Number.isInteger(value) ? 'integer'
+      : typeof value;
+    const matches = types.some(type =>
+      type === actual || (type === 'number' && actual === 'integer'));
+    if (!matches) return [`${where} should be ${types.join(' or ')}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${where} should be one of ${schema.enum.join(', ')}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${where} should be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${where} should be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${where} should have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${where} should have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => {
+        errors.push(...validateAgainstSchema(item, schema.items, root, `${at}[${i}]`));
+      });
+    }
+  } else if (value && typeof value === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${at ? at + '.' : ''}${key} is required`);
+    });
+    Object.keys(value).forEach(key => {
+      const child = `${at ? at + '.' : ''}${key}`;
+      if (schema.properties && schema.properties[key]) {
+        errors.push(...validateAgainstSchema(value[key], schema.properties[key], root, child));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${child} is not a known setting`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateAgainstSchema(value[key], schema.additionalProperties, root, child));
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Checks the schema can't express: ordering and cross-field limits
+ * @returns {Array<string>} Error messages
+ */
+function checkConsistency(ruleSet, name) {
+  const errors = [];
+  const { match, practice, rating } = ruleSet;
+
+  if (match.minPlayers > match.maxPlayers) {
+    errors.push(`${name}: match.minPlayers is above match.maxPlayers`);
+  }
+  if (match.minRoundSeconds > match.maxRoundSeconds) {
+    errors.push(`${name}: match.minRoundSeconds is above match.maxRoundSeconds`);
+  }
+  if (match.questionsPerMatch > match.maxQuestionsPerMatch) {
+    errors.push(`${name}: match.questionsPerMatch is above match.maxQuestionsPerMatch`);
+  }
+  if (rating.baseRating < rating.minRating) {
+    errors.push(`${name}: rating.baseRating is below rating.minRating`);
+  }
+
+  practice.qmRanges.forEach((range, i) => {
+    if (range.start > range.end) errors.push(`${name}: practice.qmRanges[${i}] starts after it ends`);
+    const previous = practice.qmRanges[i - 1];
+    if (i === 0 && range.start !== 0) errors.push(`${name}: practice.qmRanges must start at 0`);
+    if (previous && range.start !== previous.end + 1) {
+      errors.push(`${name}: practice.qmRanges[${i}] should start right after the previous range`);
+    }
+  });
+
+  [['ratingBrackets', 'below'], ['scoreTiers', 'maxRating'], ['levelBreakpoints']].forEach(([list, key]) => {
+    const entries = list === 'levelBreakpoints' ? match.levelBreakpoints : practice[list];
+    const bounds = key ? entries.map(entry => entry[key]) : entries;
+    if (key && bounds[bounds.length - 1] !== null) {
+      errors.push(`${name}: the last ${list} entry needs ${key}: null`);
+    }
+    const numbers = bounds.filter(bound => bound !== null);
+    if (key && bounds.slice(0, -1).includes(null)) {
+      errors.push(`${name}: only the last ${list} entry may have ${key}: null`);
+    }
+    if (numbers.some((bound, i) => i > 0 && bound <= numbers[i - 1])) {
+      errors.push(`${name}: ${list} should be in ascending order`);
+    }
+  });
+
+  return errors;
+}
+
+// Objects merge key by key; arrays and values replace
+function mergeRules(base, override) {
+  const merged = { ...base };
+  Object.keys(override).forEach(key => {
+    const value = override[key];
+    merged[key] = value && typeof value === 'object' && !Array.isArray(value) &&
+      base[key] && typeof base[key] === 'object' && !Array.isArray(base[key])
+      ? mergeRules(base[key], value)
+      : value;
+  });
+  return merged;
+}
+
+function deepFreeze(value) {
+  if (value && typeof value === 'object') {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+/**
+ * Read, resolve (extends) and validate the rules file
+ * @returns {Object} { defaultRuleSet, ruleSets } with every set fully resolved
+ * @throws with every validation problem listed if the file is invalid
+ */
+function loadRules(rulesPath = RULES_PATH) {
+  const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+  const raw = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+
+  const errors = validateAgainstSchema(raw, schema, schema);
+  if (errors.length) {
+    throw new Error(`Invalid rules file ${rulesPath}:\n  ${errors.join('\n  ')}`);
+  }
+
+  const resolved = {};
+  const resolve = (name, chain = []) => {
+    if (Object.hasOwn(resolved, name)) return resolved[name];
+    const entry = Object.hasOwn(raw.ruleSets, name) ? raw.ruleSets[name] : null;
+    if (!entry) throw new Error(`Rule set "${chain[chain.length - 1]}" extends unknown rule set "${name}"`);
+    if (chain.includes(name)) throw new Error(`Rule sets extend each other in a loop: ${[...chain, name].join(' -> ')}`);
+
+    const { extends: parent, ...own } = entry;
+    resolved[name] = parent ? mergeRules(resolve(parent, [...chain, name]), own) : own;
+    return resolved[name];
+  };
+  Object.keys(raw.ruleSets).forEach(name => resolve(name));
+
+  Object.keys(resolved).forEach(name => {
+    errors.push(...validateAgainstSchema(resolved[name], schema.definitions.ruleSet, schema, name));
+    if (errors.length === 0) errors.push(...checkConsistency(resolved[name], name));
+  });
+  if (!Object.hasOwn(resolved, raw.defaultRuleSet)) {
+    errors.push(`defaultRuleSet "${raw.defaultRuleSet}" is not defined`);
+  }
+  if (errors.length) {
+    throw new Error(`Invalid rules file ${rulesPath}:\n  ${errors.join('\n  ')}`);
+  }
+
+  return { defaultRuleSet: raw.defaultRuleSet, ruleSets: deepFreeze(resolved) };
+}
+
+function ensureLoaded() {
+  if (ruleSets) return;
+  const rules = loadRules();
+  ruleSets = rules.ruleSets;
+  defaultRuleSetName = process.env.RULE_SET || rules.defaultRuleSet;
+  if (!Object.hasOwn(ruleSets, defaultRuleSetName)) {
+    throw new Error(`RULE_SET "${defaultRuleSetName}" is not defined in ${RULES_PATH}`);
+  }
+  console.log(`Loaded rule sets: ${Object.keys(ruleSets).join(', ')} (default: ${defaultRuleSetName})`);
+}
+
+/**
+ * Get a resolved rule set
+ * @param {string} name - Rule set name; the default set if omitted
+ * @returns {Object|null} Frozen rule set, or null if the name is unknown
+ */
+function getRuleSet(name = null) {
+  ensureLoaded();
+  const key = name || defaultRuleSetName;
+  // own keys only, so "constructor" or "__proto__" aren't rule sets
+  return typeof key === 'string' && Object.hasOwn(ruleSets, key) ? ruleSets[key] : null;
+}
+
+/**
+ * Name of the rule set used when none is chosen
+ */
+function getDefaultRuleSetName() {
+  ensureLoaded();
+  return defaultRuleSetName;
+}
+
+/**
+ * Rule set a player plays under unless they pick one: the set an admin
+ * assigned them (Player.ruleSet, e.g. for a classroom or event), else the default
+ * @param {Object} [player]
+ * @returns {string}
+ */
+function ruleSetFor(player) {
+  return player && player.ruleSet && getRuleSet(player.ruleSet)
+    ? player.ruleSet
+    : getDefaultRuleSetName();
+}
+
+/**
+ * Whether a player may start a practice session or lobby under a rule set:
+ * the default, their assigned set, or any set for admins
+ * @param {Object} player
+ * @param {string} name
+ * @returns {boolean}
+ */
+function canUseRuleSet(player, name) {
+  if (!getRuleSet(name)) return false;
+  return name === getDefaultRuleSetName() ||
+    name === ruleSetFor(player) ||
+    (player.roles || []).includes('admin');
+}
+
+/**
+ * Names and descriptions of every rule set
+ */
+function listRuleSets() {
+  ensureLoaded();
+  return Object.keys(ruleSets).map(name => ({
+    name,
+    description: ruleSets[name].description || '',
+    default: name === defaultRuleSetName,
+  }));
+}
+
+module.exports = {
+  loadRules,
+  getRuleSet,
+  getDefaultRuleSetName,
+  listRuleSets,
+  ruleSetFor,
+  canUseRuleSet,
+};
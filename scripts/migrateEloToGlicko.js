@@ -0,0 +1,107 @@
+/*
+One-time migration from Elo to Glicko-2 (run before setting RATING_SYSTEM=glicko2).
+Each player's current pr.pvp rating becomes their Glicko-2 rating. The
+deviation shrinks with the number of rated matches they have played at that
+difficulty, and lastPlayedAt comes from their latest match, so inactivity
+counts from day one.
+
+  node scripts/migrateEloToGlicko.js [--force]
+
+Players who already have Glicko-2 state are skipped unless --force is given.
+*/
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Player = require('../models/Player');
+const Match = require('../models/Match');
+const { GLICKO_CONFIG, initialState } = require('../glicko2');
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+// lowest deviation a migrated rating can start with; Elo history is a weaker
+// signal than Glicko-2 history, so even veterans keep some room to move
+const MIGRATED_MIN_RD = 60;
+
+// 350 with no history, about half that after 3 matches, floored at MIGRATED_MIN_RD
+function migratedDeviation(matchesPlayed) {
+  return Math.max(
+    MIGRATED_MIN_RD,
+    GLICKO_CONFIG.DEFAULT_RD / Math.sqrt(1 + matchesPlayed)
+  );
+}
+
+/**
+ * Matches played and latest match time per player and difficulty
+ * @returns {Promise<Map>} "playerId:difficulty" -> { count, lastPlayedAt }
+ */
+async function matchHistory() {
+  const rows = await Match.aggregate([
+    { $match: { endReason: { $ne: 'abandoned' } } },
+    { $unwind: '$players' },
+    {
+      $group: {
+        _id: { player: '$players.player', difficulty: '$difficulty' },
+        count: { $sum: 1 },
+        lastPlayedAt: { $max: '$endedAt' },
+      },
+    },
+  ]);
+
+  const history = new Map();
+  rows.forEach(row => {
+    history.set(`${row._id.player}:${row._id.difficulty}`, {
+      count: row.count,
+      lastPlayedAt: row.lastPlayedAt,
+    });
+  });
+  return history;
+}
+
+async function migrate({ force = false } = {}) {
+  const history = await matchHistory();
+  const operations = [];
+  let skipped = 0;
+
+  const cursor = Player.find().select('username pr.pvp').lean().cursor();
+  for await (const player of cursor) {
+    const pvp = (player.pr && player.pr.pvp) || {};
+    const updates = {};
+
+    DIFFICULTIES.forEach(difficulty => {
+      if (!force && pvp.glicko && pvp.glicko[difficulty]) {
+        skipped++;
+        return;
+      }
+      const played = history.get(`${player._id}:${difficulty}`) || { count: 0, lastPlayedAt: null };
+      const state = initialState(
+        typeof pvp[difficulty] === 'number' ? pvp[difficulty] : 1000,
+        migratedDeviation(played.count)
+      );
+      state.lastPlayedAt = played.lastPlayedAt;
+      updates[`pr.pvp.glicko.${difficulty}`] = state;
+    });
+
+    if (Object.keys(updates).length) {
+      operations.push({ updateOne: { filter: { _id: player._id }, update: { $set: updates } } });
+    }
+  }
+
+  if (operations.length) {
+    await Player.bulkWrite(operations, { ordered: false });
+  }
+  return { players: operations.length, skipped };
+}
+
+if (require.main === module) {
+  mongoose.connect(process.env.MONGO_URI)
+    .then(() => migrate({ force: process.argv.includes('--force') }))
+    .then(({ players, skipped }) => {
+      console.log(`Migrated ${players} player(s) to Glicko-2; ${skipped} difficulty rating(s) already migrated`);
+    })
+    .catch(err => {
+      console.error('Glicko-2 migration failed:', err);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
+
+module.exports = { migrate, migratedDeviation };
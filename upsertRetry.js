@@ -0,0 +1,24 @@
+/*
+Upserts on a unique key race when two first writes for the same key land
+together: both miss the document, both insert, and one fails with a
+duplicate key error. By then the document exists, so running the write
+again turns it into a plain update.
+*/
+
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Run an upsert, retrying it once if it lost an insert race
+ * @param {Function} write - Returns the upsert's promise; called again for the retry
+ * @returns {Promise}
+ */
+function retryOnDuplicateKey(write) {
+  return write().catch(error => {
+    if (error.code === DUPLICATE_KEY) return write();
+    throw error;
+  });
+}
+
+module.exports = {
+  retryOnDuplicateKey,
+};